@@ -0,0 +1,219 @@
+/**
+ * Versioned schema migrations
+ *
+ * Migrations live in db/migrations as NNN_description.js and export
+ * async up(client) / down(client). Each one runs in its own transaction and
+ * applied versions are recorded in the schema_migrations table.
+ *
+ * Usage:
+ *   node db/migrate.js up              apply all pending migrations
+ *   node db/migrate.js down [steps]    roll back the last migration(s)
+ *   node db/migrate.js status          list applied and pending migrations
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILENAME_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Arbitrary key for pg_advisory_lock so concurrent boots don't migrate twice
+const LOCK_KEY = 74657;
+
+function migrationLabel(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .map(file => {
+      const match = file.match(FILENAME_PATTERN);
+      if (!match) {
+        throw new Error(`Invalid migration filename: ${file} (expected NNN_description.js)`);
+      }
+
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+
+      return { version: Number(match[1]), name: match[2], ...migration };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((m, i) => {
+    if (i > 0 && migrations[i - 1].version === m.version) {
+      throw new Error(`Duplicate migration version ${m.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function getAppliedVersions(client) {
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return result.rows.map(row => row.version);
+}
+
+/**
+ * Run fn with a dedicated client holding the migration lock
+ */
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Apply all pending migrations in order. Stops at the first failure, which
+ * is rolled back and rethrown. Resolves to the list of applied migrations.
+ * options.log receives a line per applied migration.
+ */
+async function migrate(pool, { log = console.log } = {}) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = new Set(await getAppliedVersions(client));
+    const pending = migrations.filter(m => !applied.has(m.version));
+
+    for (const migration of pending) {
+      try {
+        await runInTransaction(client, async () => {
+          await migration.up(client);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, NOW())',
+            [migration.version, migration.name]
+          );
+        });
+      } catch (error) {
+        error.message = `Migration ${migrationLabel(migration)} failed: ${error.message}`;
+        throw error;
+      }
+      log(`✓ Applied migration ${migrationLabel(migration)}`);
+    }
+
+    return pending;
+  });
+}
+
+/**
+ * Roll back the most recently applied migrations (default: one)
+ */
+async function rollback(pool, steps = 1) {
+  const migrations = loadMigrations();
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedVersions(client);
+    const toRevert = applied.slice(-steps).reverse();
+    const reverted = [];
+
+    for (const version of toRevert) {
+      const migration = byVersion.get(version);
+      if (!migration) {
+        throw new Error(`Cannot roll back migration ${version}: file not found in ${MIGRATIONS_DIR}`);
+      }
+
+      try {
+        await runInTransaction(client, async () => {
+          await migration.down(client);
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+        });
+      } catch (error) {
+        error.message = `Rollback of ${migrationLabel(migration)} failed: ${error.message}`;
+        throw error;
+      }
+      console.log(`✓ Rolled back migration ${migrationLabel(migration)}`);
+      reverted.push(migration);
+    }
+
+    return reverted;
+  });
+}
+
+async function status(pool) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = new Set(await getAppliedVersions(client));
+    return migrations.map(m => ({ version: m.version, name: m.name, applied: applied.has(m.version) }));
+  });
+}
+
+module.exports = {
+  migrationLabel,
+  loadMigrations,
+  migrate,
+  rollback,
+  status
+};
+
+// ============================================
+// CLI
+// ============================================
+
+if (require.main === module) {
+  const pool = require('./config');
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  (async () => {
+    try {
+      if (command === 'up') {
+        const applied = await migrate(pool);
+        console.log(applied.length ? `\n✅ Applied ${applied.length} migration(s)` : '✓ Database is up to date');
+      } else if (command === 'down') {
+        const steps = arg === undefined ? 1 : Number(arg);
+        if (!Number.isInteger(steps) || steps < 1) {
+          throw new Error('steps must be a positive integer');
+        }
+        const reverted = await rollback(pool, steps);
+        console.log(reverted.length ? `\n✅ Rolled back ${reverted.length} migration(s)` : 'Nothing to roll back');
+      } else if (command === 'status') {
+        const migrations = await status(pool);
+        migrations.forEach(m => {
+          console.log(`  ${m.applied ? '✓' : '·'} ${migrationLabel(m)}${m.applied ? '' : '  (pending)'}`);
+        });
+      } else {
+        throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+      }
+
+      await pool.end();
+      process.exit(0);
+    } catch (err) {
+      console.error('❌ Error:', err.message);
+      await pool.end();
+      process.exit(1);
+    }
+  })();
+}
@@ -0,0 +1,30 @@
+/**
+ * Base links table. Uses IF NOT EXISTS so databases created before the
+ * migration system adopt it without changes.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS links (
+        id SERIAL PRIMARY KEY,
+        short_code VARCHAR(8) UNIQUE NOT NULL,
+        target_url TEXT NOT NULL,
+        total_clicks INTEGER DEFAULT 0,
+        creation_count INTEGER DEFAULT 1,
+        last_clicked TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      ALTER TABLE links ADD COLUMN IF NOT EXISTS creation_count INTEGER DEFAULT 1;
+
+      CREATE INDEX IF NOT EXISTS idx_short_code ON links(short_code);
+      CREATE INDEX IF NOT EXISTS idx_target_url ON links(target_url);
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS links');
+  }
+};
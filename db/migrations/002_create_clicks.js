@@ -0,0 +1,24 @@
+/**
+ * Per-click event log used by the time-series endpoint
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS clicks (
+        id BIGSERIAL PRIMARY KEY,
+        link_id INTEGER NOT NULL REFERENCES links(id) ON DELETE CASCADE,
+        clicked_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        referrer TEXT,
+        user_agent TEXT,
+        ip_bucket VARCHAR(64)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_clicks_link_time ON clicks(link_id, clicked_at);
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS clicks');
+  }
+};
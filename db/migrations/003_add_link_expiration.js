@@ -0,0 +1,19 @@
+/**
+ * Expiration columns for time-boxed and click-limited links
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE links ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+      ALTER TABLE links ADD COLUMN IF NOT EXISTS max_clicks INTEGER;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE links DROP COLUMN IF EXISTS expires_at;
+      ALTER TABLE links DROP COLUMN IF EXISTS max_clicks;
+    `);
+  }
+};
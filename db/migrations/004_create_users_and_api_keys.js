@@ -0,0 +1,39 @@
+/**
+ * User accounts, hashed API keys and link ownership.
+ * Links created before accounts existed have no owner.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        is_admin BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        key_prefix VARCHAR(16) NOT NULL,
+        key_hash CHAR(64) UNIQUE NOT NULL,
+        label VARCHAR(100),
+        created_at TIMESTAMP DEFAULT NOW(),
+        last_used_at TIMESTAMP,
+        revoked_at TIMESTAMP
+      );
+
+      ALTER TABLE links ADD COLUMN IF NOT EXISTS owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+      CREATE INDEX IF NOT EXISTS idx_links_owner ON links(owner_id);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE links DROP COLUMN IF EXISTS owner_id;
+      DROP TABLE IF EXISTS api_keys;
+      DROP TABLE IF EXISTS users;
+    `);
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * Links can be switched off without deleting them
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE links ADD COLUMN IF NOT EXISTS is_enabled BOOLEAN NOT NULL DEFAULT true;
+    `);
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE links DROP COLUMN IF EXISTS is_enabled');
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * Indexes for the paginated link list: one per sort order, plus trigram
+ * indexes for substring search. pg_trgm needs extension privileges, so the
+ * trigram part is skipped (inside a savepoint) when it can't be enabled.
+ */
+
+const { logger } = require('../../lib/logger');
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_links_created_at ON links(created_at);
+      CREATE INDEX IF NOT EXISTS idx_links_total_clicks ON links(total_clicks);
+      CREATE INDEX IF NOT EXISTS idx_links_last_clicked ON links(last_clicked);
+    `);
+
+    await client.query('SAVEPOINT trgm');
+    try {
+      await client.query(`
+        CREATE EXTENSION IF NOT EXISTS pg_trgm;
+        CREATE INDEX IF NOT EXISTS idx_links_short_code_trgm ON links USING gin (short_code gin_trgm_ops);
+        CREATE INDEX IF NOT EXISTS idx_links_target_url_trgm ON links USING gin (target_url gin_trgm_ops);
+      `);
+      await client.query('RELEASE SAVEPOINT trgm');
+    } catch (e) {
+      await client.query('ROLLBACK TO SAVEPOINT trgm');
+      logger.warn('Could not enable pg_trgm - link search will not be indexed', { err: e });
+    }
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_links_short_code_trgm;
+      DROP INDEX IF EXISTS idx_links_target_url_trgm;
+      DROP INDEX IF EXISTS idx_links_created_at;
+      DROP INDEX IF EXISTS idx_links_total_clicks;
+      DROP INDEX IF EXISTS idx_links_last_clicked;
+    `);
+  }
+};
@@ -0,0 +1,13 @@
+/**
+ * Optional password gate in front of a link (scrypt hash, never the password)
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query('ALTER TABLE links ADD COLUMN IF NOT EXISTS password_hash TEXT');
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE links DROP COLUMN IF EXISTS password_hash');
+  }
+};
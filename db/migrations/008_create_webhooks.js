@@ -0,0 +1,54 @@
+/**
+ * Webhook subscriptions and their delivery queue/log.
+ * links.expired_notified_at marks links whose link.expired event has been
+ * sent; links that are already expired are marked so they don't all fire.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id SERIAL PRIMARY KEY,
+        owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        secret VARCHAR(100) NOT NULL,
+        events TEXT[] NOT NULL,
+        is_enabled BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_webhooks_owner ON webhooks(owner_id);
+
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id BIGSERIAL PRIMARY KEY,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        event VARCHAR(50) NOT NULL,
+        payload TEXT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP,
+        last_status_code INTEGER,
+        last_error TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        delivered_at TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+
+      ALTER TABLE links ADD COLUMN IF NOT EXISTS expired_notified_at TIMESTAMP;
+      UPDATE links SET expired_notified_at = NOW()
+        WHERE (expires_at IS NOT NULL AND expires_at <= NOW())
+           OR (max_clicks IS NOT NULL AND total_clicks >= max_clicks);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE links DROP COLUMN IF EXISTS expired_notified_at;
+      DROP TABLE IF EXISTS webhook_deliveries;
+      DROP TABLE IF EXISTS webhooks;
+    `);
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * Room for readable slugs like docs/onboarding (see public/slug.js).
+ * Rolling back fails while any code is longer than 8 characters.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query('ALTER TABLE links ALTER COLUMN short_code TYPE VARCHAR(100)');
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE links ALTER COLUMN short_code TYPE VARCHAR(8)');
+  }
+};
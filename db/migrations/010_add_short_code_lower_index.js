@@ -0,0 +1,13 @@
+/**
+ * Index for case-insensitive code lookups (CASE_INSENSITIVE_CODES=true).
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query('CREATE INDEX IF NOT EXISTS idx_links_short_code_lower ON links (LOWER(short_code))');
+  },
+
+  async down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_links_short_code_lower');
+  }
+};
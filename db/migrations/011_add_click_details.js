@@ -0,0 +1,26 @@
+/**
+ * Breakdown dimensions for each click (see lib/clickDetails.js). Clicks
+ * logged before this migration keep null values and show up as unknown.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE clicks ADD COLUMN IF NOT EXISTS country VARCHAR(2);
+      ALTER TABLE clicks ADD COLUMN IF NOT EXISTS device_type VARCHAR(20);
+      ALTER TABLE clicks ADD COLUMN IF NOT EXISTS browser VARCHAR(50);
+      ALTER TABLE clicks ADD COLUMN IF NOT EXISTS os VARCHAR(50);
+      ALTER TABLE clicks ADD COLUMN IF NOT EXISTS referrer_domain VARCHAR(255);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE clicks DROP COLUMN IF EXISTS country;
+      ALTER TABLE clicks DROP COLUMN IF EXISTS device_type;
+      ALTER TABLE clicks DROP COLUMN IF EXISTS browser;
+      ALTER TABLE clicks DROP COLUMN IF EXISTS os;
+      ALTER TABLE clicks DROP COLUMN IF EXISTS referrer_domain;
+    `);
+  }
+};
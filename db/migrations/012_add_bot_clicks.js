@@ -0,0 +1,20 @@
+/**
+ * Bot hits (link previews, crawlers, prefetches) are counted apart from
+ * human clicks: links.bot_clicks, and clicks.is_bot in the event log.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE links ADD COLUMN IF NOT EXISTS bot_clicks INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE clicks ADD COLUMN IF NOT EXISTS is_bot BOOLEAN NOT NULL DEFAULT false;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE links DROP COLUMN IF EXISTS bot_clicks;
+      ALTER TABLE clicks DROP COLUMN IF EXISTS is_bot;
+    `);
+  }
+};
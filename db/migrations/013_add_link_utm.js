@@ -0,0 +1,20 @@
+/**
+ * UTM fields added to the destination at redirect time, and whether a link
+ * forwards the visitor's query string (see lib/utm.js).
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE links ADD COLUMN IF NOT EXISTS utm JSONB;
+      ALTER TABLE links ADD COLUMN IF NOT EXISTS forward_query BOOLEAN NOT NULL DEFAULT false;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE links DROP COLUMN IF EXISTS utm;
+      ALTER TABLE links DROP COLUMN IF EXISTS forward_query;
+    `);
+  }
+};
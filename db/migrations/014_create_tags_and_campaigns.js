@@ -0,0 +1,49 @@
+/**
+ * Tags (many per link) and campaigns (at most one per link) for grouping
+ * links. Both belong to a user and are unique by name per user. Deleting a
+ * campaign keeps its links; deleting a tag removes it from its links.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS campaigns (
+        id SERIAL PRIMARY KEY,
+        owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (owner_id, name)
+      );
+
+      CREATE TABLE IF NOT EXISTS tags (
+        id SERIAL PRIMARY KEY,
+        owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(40) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (owner_id, name)
+      );
+
+      CREATE TABLE IF NOT EXISTS link_tags (
+        link_id INTEGER NOT NULL REFERENCES links(id) ON DELETE CASCADE,
+        tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+        PRIMARY KEY (link_id, tag_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_link_tags_tag ON link_tags(tag_id);
+
+      ALTER TABLE links ADD COLUMN IF NOT EXISTS campaign_id INTEGER REFERENCES campaigns(id) ON DELETE SET NULL;
+      CREATE INDEX IF NOT EXISTS idx_links_campaign ON links(campaign_id);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE links DROP COLUMN IF EXISTS campaign_id;
+      DROP TABLE IF EXISTS link_tags;
+      DROP TABLE IF EXISTS tags;
+      DROP TABLE IF EXISTS campaigns;
+    `);
+  }
+};
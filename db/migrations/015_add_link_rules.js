@@ -0,0 +1,20 @@
+/**
+ * Conditional redirect rules per link (see lib/routing.js), and the rule or
+ * variant label each click was routed by.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE links ADD COLUMN IF NOT EXISTS rules JSONB;
+      ALTER TABLE clicks ADD COLUMN IF NOT EXISTS variant VARCHAR(50);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE links DROP COLUMN IF EXISTS rules;
+      ALTER TABLE clicks DROP COLUMN IF EXISTS variant;
+    `);
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * Creator-provided title and description shown on a link's preview page,
+ * and whether visitors always see that page before being redirected.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE links ADD COLUMN IF NOT EXISTS title VARCHAR(200);
+      ALTER TABLE links ADD COLUMN IF NOT EXISTS description VARCHAR(500);
+      ALTER TABLE links ADD COLUMN IF NOT EXISTS interstitial BOOLEAN NOT NULL DEFAULT false;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE links DROP COLUMN IF EXISTS title;
+      ALTER TABLE links DROP COLUMN IF EXISTS description;
+      ALTER TABLE links DROP COLUMN IF EXISTS interstitial;
+    `);
+  }
+};
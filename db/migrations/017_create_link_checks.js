@@ -0,0 +1,37 @@
+/**
+ * Destination health checks (see lib/linkHealth.js): a history of checks per
+ * link, and the latest result on the link itself for listings and reports.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS link_checks (
+        id BIGSERIAL PRIMARY KEY,
+        link_id INTEGER NOT NULL REFERENCES links(id) ON DELETE CASCADE,
+        checked_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        status VARCHAR(20) NOT NULL,
+        status_code INTEGER,
+        final_url TEXT,
+        response_ms INTEGER,
+        error TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_link_checks_link ON link_checks(link_id, id);
+
+      ALTER TABLE links ADD COLUMN IF NOT EXISTS health_status VARCHAR(20);
+      ALTER TABLE links ADD COLUMN IF NOT EXISTS health_checked_at TIMESTAMP;
+
+      CREATE INDEX IF NOT EXISTS idx_links_health_checked ON links(health_checked_at NULLS FIRST);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_links_health_checked;
+      ALTER TABLE links DROP COLUMN IF EXISTS health_status;
+      ALTER TABLE links DROP COLUMN IF EXISTS health_checked_at;
+      DROP TABLE IF EXISTS link_checks;
+    `);
+  }
+};
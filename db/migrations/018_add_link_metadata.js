@@ -0,0 +1,26 @@
+/**
+ * OpenGraph metadata fetched from a link's destination (see
+ * lib/openGraph.js), when it was fetched, and the creator's own preview
+ * image. Existing links have no fetch time, so they are fetched once too.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE links ADD COLUMN IF NOT EXISTS og JSONB;
+      ALTER TABLE links ADD COLUMN IF NOT EXISTS og_fetched_at TIMESTAMP;
+      ALTER TABLE links ADD COLUMN IF NOT EXISTS image_url TEXT;
+
+      CREATE INDEX IF NOT EXISTS idx_links_og_unfetched ON links(id) WHERE og_fetched_at IS NULL;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_links_og_unfetched;
+      ALTER TABLE links DROP COLUMN IF EXISTS og;
+      ALTER TABLE links DROP COLUMN IF EXISTS og_fetched_at;
+      ALTER TABLE links DROP COLUMN IF EXISTS image_url;
+    `);
+  }
+};
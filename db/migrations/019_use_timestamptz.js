@@ -0,0 +1,37 @@
+/**
+ * Store every timestamp as TIMESTAMPTZ. Plain TIMESTAMP columns drop the
+ * offset of values written from JavaScript Dates, so expiry and retry times
+ * drifted whenever Node and PostgreSQL ran in different time zones.
+ * Existing values are read in the database's time zone (the one NOW()
+ * defaults were written in). schema_migrations, which db/migrate.js creates
+ * with a plain TIMESTAMP, is converted too.
+ */
+
+const COLUMNS = {
+  links: ['last_clicked', 'created_at', 'updated_at', 'expires_at', 'expired_notified_at', 'health_checked_at', 'og_fetched_at'],
+  clicks: ['clicked_at'],
+  users: ['created_at'],
+  api_keys: ['created_at', 'last_used_at', 'revoked_at'],
+  webhooks: ['created_at', 'updated_at'],
+  webhook_deliveries: ['next_attempt_at', 'created_at', 'delivered_at'],
+  campaigns: ['created_at', 'updated_at'],
+  tags: ['created_at'],
+  link_checks: ['checked_at'],
+  schema_migrations: ['applied_at']
+};
+
+function alterAll(type) {
+  return Object.entries(COLUMNS).map(([table, columns]) =>
+    `ALTER TABLE ${table} ${columns.map(column => `ALTER COLUMN ${column} TYPE ${type}`).join(', ')};`
+  ).join('\n');
+}
+
+module.exports = {
+  async up(client) {
+    await client.query(alterAll('TIMESTAMPTZ'));
+  },
+
+  async down(client) {
+    await client.query(alterAll('TIMESTAMP'));
+  }
+};
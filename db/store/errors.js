@@ -0,0 +1,26 @@
+/**
+ * Errors raised by storage backends
+ */
+
+// A link with the requested short code already exists
+class CodeExistsError extends Error {
+  constructor(code) {
+    super(`Code already exists: ${code}`);
+    this.name = 'CodeExistsError';
+    this.shortCode = code;
+  }
+}
+
+// The owner already has a tag or campaign with this name
+class NameExistsError extends Error {
+  constructor(kind, name) {
+    super(`A ${kind} named "${name}" already exists`);
+    this.name = 'NameExistsError';
+    this.kind = kind;
+  }
+}
+
+module.exports = {
+  CodeExistsError,
+  NameExistsError
+};
@@ -0,0 +1,61 @@
+/**
+ * Storage backend selection
+ *
+ * STORAGE_BACKEND=postgres (default) uses the pg pool from db/config.js;
+ * STORAGE_BACKEND=memory keeps everything in process memory, so the app runs
+ * without a database server.
+ *
+ * Every backend exposes the same repositories:
+ *
+ *   links       create, findByCode, findByTarget, incrementCreationCount,
+ *               incrementClicks, addClicks, list, update, setTags,
+ *               getPasswordHash, delete, claimNewlyExpired,
+ *               claimMetadataDue, setMetadata
+ *   clicks      recordMany, series, breakdown, variants
+ *   users       upsert, createKey, revokeKey, listKeys, findByKeyHash, touchKey
+ *   webhooks    create, list, find, update, delete, subscribers
+ *   deliveries  enqueue, claimDue, markDelivered, markFailed, list
+ *   linkChecks  claimDue, record, list, broken
+ *   campaigns   create, list, find, update, delete
+ *   tags        create, list, find, update, delete
+ *
+ * plus init() (prepare the schema), ping() (round trip to the database),
+ * poolStats() ({ total, idle, waiting } connections, or null without a
+ * pool) and close(). Methods taking { ownerId } only see records owned by
+ * that user; pass null for no restriction.
+ * Link create() and update() throw CodeExistsError on a short code
+ * collision (with CASE_INSENSITIVE_CODES=true, also codes that only differ
+ * in case); campaign and tag create() and update() throw NameExistsError
+ * when the owner already has one with that name.
+ */
+
+require('dotenv').config();
+
+const { CodeExistsError, NameExistsError } = require('./errors');
+
+const BACKENDS = ['postgres', 'memory'];
+
+function createStore(backend = process.env.STORAGE_BACKEND || 'postgres', options = {
+  caseInsensitiveCodes: process.env.CASE_INSENSITIVE_CODES === 'true'
+}) {
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected ${BACKENDS.join(' or ')})`);
+  }
+
+  if (backend === 'memory') {
+    return require('./memory')(options);
+  }
+
+  const pool = require('../config');
+  return pool ? require('./postgres')(pool, options) : null;
+}
+
+// Shared instance for the app, selected from the environment
+const store = createStore();
+
+module.exports = {
+  store,
+  createStore,
+  CodeExistsError,
+  NameExistsError
+};
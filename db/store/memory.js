@@ -0,0 +1,833 @@
+/**
+ * In-memory storage backend
+ * Keeps everything in process memory; data is lost on restart. Meant for
+ * local development and tests without a PostgreSQL server.
+ */
+
+const { CodeExistsError, NameExistsError } = require('./errors');
+
+const SORT_FIELDS = {
+  created: 'created_at',
+  clicks: 'total_clicks',
+  last_clicked: 'last_clicked'
+};
+
+function isExpired(link, now = new Date()) {
+  return (link.expires_at !== null && link.expires_at <= now) ||
+    (link.max_clicks !== null && link.total_clicks >= link.max_clicks);
+}
+
+// Copy of a stored link as returned to callers (with the computed flags,
+// and without the password hash and bookkeeping fields)
+function present(link) {
+  if (!link) {
+    return null;
+  }
+  const { password_hash, expired_notified_at, og_fetched_at, ...fields } = link;
+  return {
+    ...fields,
+    utm: link.utm ? { ...link.utm } : null,
+    og: link.og ? { ...link.og } : null,
+    rules: link.rules ? structuredClone(link.rules) : null,
+    tags: [...link.tags].sort(),
+    is_expired: isExpired(link),
+    has_password: password_hash !== null
+  };
+}
+
+function visibleTo(record, ownerId) {
+  return ownerId === null || ownerId === undefined || record.owner_id === ownerId;
+}
+
+// Webhooks are returned without their secret
+function presentWebhook(webhook) {
+  const { secret, ...fields } = webhook;
+  return { ...fields, events: [...webhook.events] };
+}
+
+// Click breakdown dimensions and the fields they group by
+const BREAKDOWN_FIELDS = {
+  countries: 'country',
+  devices: 'device_type',
+  browsers: 'browser',
+  operating_systems: 'os',
+  referrers: 'referrer_domain'
+};
+
+// Nulls sort last in both directions, ties broken by id (as in Postgres)
+function compareLinks(field, direction) {
+  return (a, b) => {
+    const x = a[field];
+    const y = b[field];
+    if (x === null && y !== null) return 1;
+    if (y === null && x !== null) return -1;
+    if (x !== null && y !== null && x !== y) {
+      return (x < y ? -1 : 1) * direction;
+    }
+    return (a.id - b.id) * direction;
+  };
+}
+
+// Start of the hour/day/week (Monday) containing date, like date_trunc
+function truncate(date, interval) {
+  const d = new Date(date);
+  d.setMinutes(0, 0, 0);
+  if (interval !== 'hour') {
+    d.setHours(0);
+  }
+  if (interval === 'week') {
+    d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  }
+  return d;
+}
+
+function addInterval(date, interval) {
+  const d = new Date(date);
+  if (interval === 'hour') {
+    d.setHours(d.getHours() + 1);
+  } else {
+    d.setDate(d.getDate() + (interval === 'week' ? 7 : 1));
+  }
+  return d;
+}
+
+/**
+ * options.caseInsensitiveCodes  treat codes differing only in case as taken
+ */
+function createMemoryStore({ caseInsensitiveCodes = false } = {}) {
+  const data = {
+    links: new Map(),
+    clicks: [],
+    users: new Map(),
+    apiKeys: new Map(),
+    webhooks: new Map(),
+    deliveries: [],
+    linkChecks: [],
+    campaigns: new Map(),
+    tags: new Map()
+  };
+  const nextId = { links: 1, clicks: 1, users: 1, apiKeys: 1, webhooks: 1, deliveries: 1, linkChecks: 1, campaigns: 1, tags: 1 };
+
+  const findLink = (code) => {
+    for (const link of data.links.values()) {
+      if (link.short_code === code) {
+        return link;
+      }
+    }
+    return null;
+  };
+
+  // Another link already using code, matching the Postgres unique indexes
+  const codeTaken = (code, except = null) => {
+    const key = caseInsensitiveCodes ? code.toLowerCase() : code;
+    for (const link of data.links.values()) {
+      if (link !== except && (caseInsensitiveCodes ? link.short_code.toLowerCase() : link.short_code) === key) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const findByName = (map, ownerId, name, exceptId = null) => {
+    for (const record of map.values()) {
+      if (record.owner_id === ownerId && record.name === name && record.id !== exceptId) {
+        return record;
+      }
+    }
+    return null;
+  };
+
+  // Links store their tag names, so renames and deletes are applied to them
+  const ownerLinks = (ownerId) => [...data.links.values()].filter(l => l.owner_id === ownerId);
+
+  const links = {
+    async create({ short_code, target_url, owner_id = null, expires_at = null, max_clicks = null, password_hash = null, utm = null, forward_query = false, campaign_id = null, title = null, description = null, interstitial = false, image_url = null }) {
+      if (codeTaken(short_code)) {
+        throw new CodeExistsError(short_code);
+      }
+
+      const now = new Date();
+      const link = {
+        id: nextId.links++,
+        short_code,
+        target_url,
+        owner_id,
+        campaign_id,
+        tags: [],
+        is_enabled: true,
+        total_clicks: 0,
+        bot_clicks: 0,
+        creation_count: 1,
+        last_clicked: null,
+        expires_at,
+        max_clicks,
+        password_hash,
+        utm: utm ? { ...utm } : null,
+        forward_query,
+        rules: null,
+        title,
+        description,
+        interstitial,
+        image_url,
+        og: null,
+        og_fetched_at: null,
+        health_status: null,
+        health_checked_at: null,
+        expired_notified_at: null,
+        created_at: now,
+        updated_at: now
+      };
+      data.links.set(link.id, link);
+      return present(link);
+    },
+
+    async findByCode(code, { ownerId = null, ignoreCase = false } = {}) {
+      let link = findLink(code);
+      if (!link && ignoreCase) {
+        const lower = code.toLowerCase();
+        link = [...data.links.values()]
+          .filter(l => l.short_code.toLowerCase() === lower)
+          .sort(compareLinks('created_at', 1))[0] || null;
+      }
+      return link && visibleTo(link, ownerId) ? present(link) : null;
+    },
+
+    async findByTarget(targetUrl, { ownerId }) {
+      const matches = [...data.links.values()]
+        .filter(l => l.target_url === targetUrl && l.owner_id === ownerId && l.expires_at === null && l.max_clicks === null && l.password_hash === null && l.utm === null && !l.forward_query && l.campaign_id === null && l.tags.length === 0 && l.rules === null && l.title === null && l.description === null && !l.interstitial && l.image_url === null)
+        .sort(compareLinks('created_at', 1));
+      return present(matches[0] || null);
+    },
+
+    async incrementCreationCount(id) {
+      const link = data.links.get(id);
+      if (!link) {
+        return null;
+      }
+      link.creation_count++;
+      link.updated_at = new Date();
+      return present(link);
+    },
+
+    async incrementClicks(code, { unlocked = false, bot = false } = {}) {
+      const link = findLink(code);
+      if (!link || !link.is_enabled || isExpired(link) || (link.password_hash !== null && !unlocked)) {
+        return null;
+      }
+      if (bot) {
+        link.bot_clicks++;
+      } else {
+        link.total_clicks++;
+        link.last_clicked = new Date();
+      }
+      return present(link);
+    },
+
+    async list({ ownerId = null, status, q, tag, campaignId, sort = 'created', order = 'DESC', limit = null, offset = 0 } = {}) {
+      const needle = q ? q.toLowerCase() : null;
+      const matches = [...data.links.values()].filter(link => {
+        if (!visibleTo(link, ownerId)) return false;
+        if (status === 'active' && isExpired(link)) return false;
+        if (status === 'expired' && !isExpired(link)) return false;
+        if (needle && !link.short_code.toLowerCase().includes(needle) && !link.target_url.toLowerCase().includes(needle)) return false;
+        if (tag && !link.tags.includes(tag)) return false;
+        if (campaignId === 'none' && link.campaign_id !== null) return false;
+        if (campaignId && campaignId !== 'none' && link.campaign_id !== campaignId) return false;
+        return true;
+      });
+
+      matches.sort(compareLinks(SORT_FIELDS[sort], order === 'ASC' ? 1 : -1));
+      const page = limit === null ? matches.slice(offset) : matches.slice(offset, offset + limit);
+
+      return { links: page.map(present), total: matches.length };
+    },
+
+    async update(code, { target_url, short_code, is_enabled, password_hash, utm, forward_query, campaign_id, rules, title, description, interstitial, image_url }, { ownerId = null } = {}) {
+      const link = findLink(code);
+      if (!link || !visibleTo(link, ownerId)) {
+        return null;
+      }
+
+      if (short_code !== undefined && short_code !== code && codeTaken(short_code, link)) {
+        throw new CodeExistsError(short_code);
+      }
+
+      if (target_url !== undefined && target_url !== link.target_url) {
+        link.target_url = target_url;
+        link.health_status = null;
+        link.health_checked_at = null;
+        link.og = null;
+        link.og_fetched_at = null;
+      }
+      if (short_code !== undefined) link.short_code = short_code;
+      if (is_enabled !== undefined) link.is_enabled = is_enabled;
+      if (password_hash !== undefined) link.password_hash = password_hash;
+      if (utm !== undefined) link.utm = utm ? { ...utm } : null;
+      if (forward_query !== undefined) link.forward_query = forward_query;
+      if (campaign_id !== undefined) link.campaign_id = campaign_id;
+      if (rules !== undefined) link.rules = rules ? structuredClone(rules) : null;
+      if (title !== undefined) link.title = title;
+      if (description !== undefined) link.description = description;
+      if (interstitial !== undefined) link.interstitial = interstitial;
+      if (image_url !== undefined) link.image_url = image_url;
+      link.updated_at = new Date();
+      return present(link);
+    },
+
+    async addClicks(counts) {
+      for (const { id, clicks, bot_clicks, last_clicked } of counts) {
+        const link = data.links.get(id);
+        if (!link) {
+          continue;
+        }
+        link.total_clicks += clicks;
+        link.bot_clicks += bot_clicks;
+        if (last_clicked && (!link.last_clicked || last_clicked > link.last_clicked)) {
+          link.last_clicked = last_clicked;
+        }
+      }
+    },
+
+    async setTags(linkId, ownerId, names) {
+      const link = data.links.get(linkId);
+      if (!link) {
+        return;
+      }
+      for (const name of names) {
+        if (!findByName(data.tags, ownerId, name)) {
+          const tag = { id: nextId.tags++, owner_id: ownerId, name, created_at: new Date() };
+          data.tags.set(tag.id, tag);
+        }
+      }
+      link.tags = [...new Set(names)];
+    },
+
+    async getPasswordHash(code) {
+      const link = findLink(code);
+      return link ? link.password_hash : null;
+    },
+
+    async delete(code, { ownerId = null } = {}) {
+      const link = findLink(code);
+      if (!link || !visibleTo(link, ownerId)) {
+        return null;
+      }
+      data.links.delete(link.id);
+      data.clicks = data.clicks.filter(c => c.link_id !== link.id);
+      data.linkChecks = data.linkChecks.filter(c => c.link_id !== link.id);
+      return present(link);
+    },
+
+    async claimNewlyExpired(limit = 100) {
+      const now = new Date();
+      const expired = [...data.links.values()]
+        .filter(link => link.expired_notified_at === null && isExpired(link, now))
+        .slice(0, limit);
+      expired.forEach(link => {
+        link.expired_notified_at = now;
+      });
+      return expired.map(present);
+    },
+
+    async claimMetadataDue(limit) {
+      const due = [...data.links.values()]
+        .filter(link => link.og_fetched_at === null)
+        .sort((a, b) => a.id - b.id)
+        .slice(0, limit);
+
+      return due.map(link => {
+        link.og_fetched_at = new Date();
+        return { id: link.id, short_code: link.short_code, target_url: link.target_url };
+      });
+    },
+
+    async setMetadata({ id, target_url }, og) {
+      const link = data.links.get(id);
+      if (!link || link.target_url !== target_url) {
+        return false;
+      }
+      link.og = og ? { ...og } : null;
+      return true;
+    }
+  };
+
+  // Enforces the clicks.link_id foreign key of the Postgres schema
+  const insertClick = ({ link_id, clicked_at = new Date(), referrer, user_agent, ip_bucket, country = null, device_type = null, browser = null, os = null, referrer_domain = null, is_bot = false, variant = null }) => {
+    if (!data.links.has(link_id)) {
+      throw new Error(`Click for unknown link ${link_id}`);
+    }
+    data.clicks.push({
+      id: nextId.clicks++,
+      link_id,
+      clicked_at,
+      referrer,
+      user_agent,
+      ip_bucket,
+      country,
+      device_type,
+      browser,
+      os,
+      referrer_domain,
+      is_bot,
+      variant
+    });
+  };
+
+  const clicks = {
+    // Events of links deleted since the click are skipped, as in the
+    // Postgres store
+    async recordMany(events) {
+      events.filter(event => data.links.has(event.link_id)).forEach(insertClick);
+    },
+
+    async series(linkId, { interval, from, to }) {
+      const buckets = [];
+      const last = truncate(to, interval);
+      for (let bucket = truncate(from, interval); bucket <= last; bucket = addInterval(bucket, interval)) {
+        buckets.push({ bucket, count: 0 });
+      }
+
+      data.clicks.forEach(click => {
+        if (click.link_id !== linkId || click.is_bot) return;
+        const start = truncate(click.clicked_at, interval).getTime();
+        const bucket = buckets.find(b => b.bucket.getTime() === start);
+        if (bucket) {
+          bucket.count++;
+        }
+      });
+
+      return buckets;
+    },
+
+    async breakdown(linkId, { limit }) {
+      const linkClicks = data.clicks.filter(click => click.link_id === linkId && !click.is_bot);
+      const result = { total: linkClicks.length };
+
+      for (const [name, field] of Object.entries(BREAKDOWN_FIELDS)) {
+        const counts = new Map();
+        linkClicks.forEach(click => counts.set(click[field], (counts.get(click[field]) || 0) + 1));
+
+        result[name] = [...counts]
+          .map(([value, count]) => ({ value, count }))
+          .sort((a, b) => b.count - a.count ||
+            (a.value === null) - (b.value === null) ||
+            String(a.value).localeCompare(String(b.value)))
+          .slice(0, limit);
+      }
+
+      return result;
+    },
+
+    async variants(linkId) {
+      const counts = new Map();
+      data.clicks
+        .filter(click => click.link_id === linkId && !click.is_bot)
+        .forEach(click => counts.set(click.variant, (counts.get(click.variant) || 0) + 1));
+
+      return [...counts]
+        .map(([variant, count]) => ({ variant, count }))
+        .sort((a, b) => b.count - a.count ||
+          (a.variant === null) - (b.variant === null) ||
+          String(a.variant).localeCompare(String(b.variant)));
+    }
+  };
+
+  const webhooks = {
+    async create({ owner_id, url, secret, events }) {
+      const now = new Date();
+      const webhook = {
+        id: nextId.webhooks++,
+        owner_id,
+        url,
+        secret,
+        events: [...events],
+        is_enabled: true,
+        created_at: now,
+        updated_at: now
+      };
+      data.webhooks.set(webhook.id, webhook);
+      return { ...webhook };
+    },
+
+    async list({ ownerId = null } = {}) {
+      return [...data.webhooks.values()]
+        .filter(w => visibleTo(w, ownerId))
+        .map(presentWebhook);
+    },
+
+    async find(id, { ownerId = null } = {}) {
+      const webhook = data.webhooks.get(id);
+      return webhook && visibleTo(webhook, ownerId) ? presentWebhook(webhook) : null;
+    },
+
+    async update(id, { url, events, is_enabled }, { ownerId = null } = {}) {
+      const webhook = data.webhooks.get(id);
+      if (!webhook || !visibleTo(webhook, ownerId)) {
+        return null;
+      }
+
+      if (url !== undefined) webhook.url = url;
+      if (events !== undefined) webhook.events = [...events];
+      if (is_enabled !== undefined) webhook.is_enabled = is_enabled;
+      webhook.updated_at = new Date();
+      return presentWebhook(webhook);
+    },
+
+    async delete(id, { ownerId = null } = {}) {
+      const webhook = data.webhooks.get(id);
+      if (!webhook || !visibleTo(webhook, ownerId)) {
+        return false;
+      }
+      data.webhooks.delete(id);
+      data.deliveries = data.deliveries.filter(d => d.webhook_id !== id);
+      return true;
+    },
+
+    async subscribers(event, linkOwnerId) {
+      return [...data.webhooks.values()]
+        .filter(w => w.is_enabled && w.events.includes(event))
+        .filter(w => w.owner_id === linkOwnerId || data.users.get(w.owner_id).is_admin)
+        .map(w => ({ id: w.id, url: w.url, secret: w.secret }));
+    }
+  };
+
+  const presentCampaign = (campaign) => {
+    const members = [...data.links.values()].filter(l => l.campaign_id === campaign.id);
+    return {
+      ...campaign,
+      link_count: members.length,
+      total_clicks: members.reduce((sum, l) => sum + l.total_clicks, 0),
+      bot_clicks: members.reduce((sum, l) => sum + l.bot_clicks, 0)
+    };
+  };
+
+  const presentTag = (tag) => ({
+    ...tag,
+    link_count: ownerLinks(tag.owner_id).filter(l => l.tags.includes(tag.name)).length
+  });
+
+  const byName = (a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : a.id - b.id);
+
+  const campaigns = {
+    async create({ owner_id, name, description = null }) {
+      if (findByName(data.campaigns, owner_id, name)) {
+        throw new NameExistsError('campaign', name);
+      }
+
+      const now = new Date();
+      const campaign = {
+        id: nextId.campaigns++,
+        owner_id,
+        name,
+        description,
+        created_at: now,
+        updated_at: now
+      };
+      data.campaigns.set(campaign.id, campaign);
+      return presentCampaign(campaign);
+    },
+
+    async list({ ownerId = null } = {}) {
+      return [...data.campaigns.values()]
+        .filter(c => visibleTo(c, ownerId))
+        .sort(byName)
+        .map(presentCampaign);
+    },
+
+    async find(id, { ownerId = null } = {}) {
+      const campaign = data.campaigns.get(id);
+      return campaign && visibleTo(campaign, ownerId) ? presentCampaign(campaign) : null;
+    },
+
+    async update(id, { name, description }, { ownerId = null } = {}) {
+      const campaign = data.campaigns.get(id);
+      if (!campaign || !visibleTo(campaign, ownerId)) {
+        return null;
+      }
+
+      if (name !== undefined && findByName(data.campaigns, campaign.owner_id, name, id)) {
+        throw new NameExistsError('campaign', name);
+      }
+
+      if (name !== undefined) campaign.name = name;
+      if (description !== undefined) campaign.description = description;
+      campaign.updated_at = new Date();
+      return presentCampaign(campaign);
+    },
+
+    async delete(id, { ownerId = null } = {}) {
+      const campaign = data.campaigns.get(id);
+      if (!campaign || !visibleTo(campaign, ownerId)) {
+        return false;
+      }
+      data.campaigns.delete(id);
+      for (const link of data.links.values()) {
+        if (link.campaign_id === id) {
+          link.campaign_id = null;
+        }
+      }
+      return true;
+    }
+  };
+
+  const tags = {
+    async create({ owner_id, name }) {
+      if (findByName(data.tags, owner_id, name)) {
+        throw new NameExistsError('tag', name);
+      }
+
+      const tag = { id: nextId.tags++, owner_id, name, created_at: new Date() };
+      data.tags.set(tag.id, tag);
+      return presentTag(tag);
+    },
+
+    async list({ ownerId = null } = {}) {
+      return [...data.tags.values()]
+        .filter(t => visibleTo(t, ownerId))
+        .sort(byName)
+        .map(presentTag);
+    },
+
+    async find(id, { ownerId = null } = {}) {
+      const tag = data.tags.get(id);
+      return tag && visibleTo(tag, ownerId) ? presentTag(tag) : null;
+    },
+
+    async update(id, { name }, { ownerId = null } = {}) {
+      const tag = data.tags.get(id);
+      if (!tag || !visibleTo(tag, ownerId)) {
+        return null;
+      }
+
+      if (findByName(data.tags, tag.owner_id, name, id)) {
+        throw new NameExistsError('tag', name);
+      }
+
+      for (const link of ownerLinks(tag.owner_id)) {
+        link.tags = link.tags.map(t => (t === tag.name ? name : t));
+      }
+      tag.name = name;
+      return presentTag(tag);
+    },
+
+    async delete(id, { ownerId = null } = {}) {
+      const tag = data.tags.get(id);
+      if (!tag || !visibleTo(tag, ownerId)) {
+        return false;
+      }
+      data.tags.delete(id);
+      for (const link of ownerLinks(tag.owner_id)) {
+        link.tags = link.tags.filter(t => t !== tag.name);
+      }
+      return true;
+    }
+  };
+
+  const deliveries = {
+    async enqueue({ webhook_id, event, payload }) {
+      const delivery = {
+        id: nextId.deliveries++,
+        webhook_id,
+        event,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date(),
+        last_status_code: null,
+        last_error: null,
+        created_at: new Date(),
+        delivered_at: null
+      };
+      data.deliveries.push(delivery);
+      return { ...delivery };
+    },
+
+    async claimDue(limit, leaseMs) {
+      const now = new Date();
+      const due = data.deliveries
+        .filter(d => d.status === 'pending' && d.next_attempt_at <= now && data.webhooks.get(d.webhook_id).is_enabled)
+        .sort((a, b) => a.next_attempt_at - b.next_attempt_at)
+        .slice(0, limit);
+
+      return due.map(d => {
+        const webhook = data.webhooks.get(d.webhook_id);
+        d.attempts++;
+        d.next_attempt_at = new Date(now.getTime() + leaseMs);
+        return { id: d.id, webhook_id: d.webhook_id, event: d.event, payload: d.payload, attempts: d.attempts, url: webhook.url, secret: webhook.secret };
+      });
+    },
+
+    async markDelivered(id, { status_code }) {
+      const delivery = data.deliveries.find(d => d.id === id);
+      if (delivery) {
+        Object.assign(delivery, { status: 'delivered', last_status_code: status_code, last_error: null, next_attempt_at: null, delivered_at: new Date() });
+      }
+    },
+
+    async markFailed(id, { status_code = null, error, retryAt }) {
+      const delivery = data.deliveries.find(d => d.id === id);
+      if (delivery) {
+        Object.assign(delivery, { status: retryAt ? 'pending' : 'failed', last_status_code: status_code, last_error: error, next_attempt_at: retryAt });
+      }
+    },
+
+    async list(webhookId, { limit, offset = 0 }) {
+      const matches = data.deliveries
+        .filter(d => d.webhook_id === webhookId)
+        .sort((a, b) => b.id - a.id);
+      return { deliveries: matches.slice(offset, offset + limit).map(d => ({ ...d })), total: matches.length };
+    }
+  };
+
+  const linkChecks = {
+    async claimDue(limit, intervalMs) {
+      const now = new Date();
+      const due = [...data.links.values()]
+        .filter(l => l.is_enabled && !isExpired(l, now))
+        .filter(l => l.health_checked_at === null || l.health_checked_at <= new Date(now.getTime() - intervalMs))
+        .sort((a, b) => (a.health_checked_at || 0) - (b.health_checked_at || 0) || a.id - b.id)
+        .slice(0, limit);
+
+      return due.map(link => {
+        link.health_checked_at = now;
+        return { id: link.id, short_code: link.short_code, target_url: link.target_url };
+      });
+    },
+
+    async record({ id, target_url }, { status, status_code = null, final_url = null, response_ms = null, error = null }, { keep }) {
+      const link = data.links.get(id);
+      if (!link || link.target_url !== target_url) {
+        return null;
+      }
+
+      const check = { id: nextId.linkChecks++, link_id: id, checked_at: new Date(), status, status_code, final_url, response_ms, error };
+      data.linkChecks.push(check);
+      link.health_status = status;
+      link.health_checked_at = check.checked_at;
+
+      const history = data.linkChecks.filter(c => c.link_id === id);
+      if (history.length > keep) {
+        const dropped = new Set(history.slice(0, history.length - keep));
+        data.linkChecks = data.linkChecks.filter(c => !dropped.has(c));
+      }
+      return { ...check };
+    },
+
+    async list(linkId, { limit }) {
+      return data.linkChecks
+        .filter(c => c.link_id === linkId)
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit)
+        .map(c => ({ ...c }));
+    },
+
+    async broken({ statuses, ownerId = null, limit, offset = 0 }) {
+      const matches = [...data.links.values()]
+        .filter(l => statuses.includes(l.health_status) && visibleTo(l, ownerId))
+        .sort((a, b) => b.health_checked_at - a.health_checked_at || b.id - a.id);
+
+      const lastCheck = (linkId) => {
+        const checks = data.linkChecks.filter(c => c.link_id === linkId);
+        return checks.length > 0 ? { ...checks[checks.length - 1] } : null;
+      };
+
+      return {
+        links: matches.slice(offset, offset + limit).map(l => ({ ...present(l), last_check: lastCheck(l.id) })),
+        total: matches.length
+      };
+    }
+  };
+
+  const users = {
+    async upsert(name, { isAdmin = false } = {}) {
+      let user = [...data.users.values()].find(u => u.name === name);
+      if (!user) {
+        user = { id: nextId.users++, name, is_admin: false, created_at: new Date() };
+        data.users.set(user.id, user);
+      }
+      user.is_admin = user.is_admin || isAdmin;
+      return { id: user.id, name: user.name, is_admin: user.is_admin };
+    },
+
+    async createKey({ user_id, key_prefix, key_hash, label = null }) {
+      const key = {
+        id: nextId.apiKeys++,
+        user_id,
+        key_prefix,
+        key_hash,
+        label,
+        created_at: new Date(),
+        last_used_at: null,
+        revoked_at: null
+      };
+      data.apiKeys.set(key.id, key);
+      return { id: key.id, key_prefix, label, created_at: key.created_at };
+    },
+
+    async revokeKey(id) {
+      const key = data.apiKeys.get(id);
+      if (!key || key.revoked_at) {
+        return null;
+      }
+      key.revoked_at = new Date();
+      return { id: key.id, key_prefix: key.key_prefix };
+    },
+
+    async listKeys(userName = null) {
+      return [...data.apiKeys.values()]
+        .map(k => ({ key: k, user: data.users.get(k.user_id) }))
+        .filter(({ user }) => userName === null || user.name === userName)
+        .map(({ key, user }) => ({
+          id: key.id,
+          user_name: user.name,
+          is_admin: user.is_admin,
+          key_prefix: key.key_prefix,
+          label: key.label,
+          created_at: key.created_at,
+          last_used_at: key.last_used_at,
+          revoked_at: key.revoked_at
+        }));
+    },
+
+    async findByKeyHash(keyHash) {
+      const key = [...data.apiKeys.values()].find(k => k.key_hash === keyHash && !k.revoked_at);
+      if (!key) {
+        return null;
+      }
+      const user = data.users.get(key.user_id);
+      return { key_id: key.id, id: user.id, name: user.name, is_admin: user.is_admin };
+    },
+
+    async touchKey(id) {
+      const key = data.apiKeys.get(id);
+      if (key) {
+        key.last_used_at = new Date();
+      }
+    }
+  };
+
+  return {
+    backend: 'memory',
+    links,
+    clicks,
+    users,
+    webhooks,
+    deliveries,
+    linkChecks,
+    campaigns,
+    tags,
+
+    async init() {},
+
+    async ping() {},
+
+    // No connections to report
+    poolStats() {
+      return null;
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = createMemoryStore;
@@ -0,0 +1,846 @@
+/**
+ * PostgreSQL storage backend
+ */
+
+const { migrate } = require('../migrate');
+const { logger } = require('../../lib/logger');
+const { CodeExistsError, NameExistsError } = require('./errors');
+
+// Columns returned for links, plus computed expiry and password flags and
+// tag names. The password hash itself is only handed out by getPasswordHash().
+const LINK_COLUMNS = 'id, short_code, target_url, owner_id, campaign_id, is_enabled, total_clicks, bot_clicks, creation_count, last_clicked, expires_at, max_clicks, utm, forward_query, rules, title, description, interstitial, image_url, og, health_status, health_checked_at, created_at, updated_at';
+const IS_EXPIRED_SQL = '((expires_at IS NOT NULL AND expires_at <= NOW()) OR (max_clicks IS NOT NULL AND total_clicks >= max_clicks))';
+const TAGS_SQL = 'ARRAY(SELECT t.name FROM link_tags lt JOIN tags t ON t.id = lt.tag_id WHERE lt.link_id = links.id ORDER BY t.name)';
+const LINK_FIELDS = `${LINK_COLUMNS}, ${IS_EXPIRED_SQL} AS is_expired, password_hash IS NOT NULL AS has_password, ${TAGS_SQL} AS tags`;
+
+// Matches links visible to the caller, given the ownerId filter as parameter $n
+const ownedBy = (n) => `($${n}::int IS NULL OR owner_id = $${n})`;
+
+const SORT_COLUMNS = {
+  created: 'created_at',
+  clicks: 'total_clicks',
+  last_clicked: 'last_clicked'
+};
+
+// Click breakdown dimensions and the columns they group by
+const BREAKDOWN_COLUMNS = {
+  countries: 'country',
+  devices: 'device_type',
+  browsers: 'browser',
+  operating_systems: 'os',
+  referrers: 'referrer_domain'
+};
+
+const WEBHOOK_COLUMNS = 'id, owner_id, url, events, is_enabled, created_at, updated_at';
+
+// Campaigns with the link count and click totals of their links; callers
+// append the WHERE clause (campaigns are aliased c)
+const CAMPAIGN_SELECT = `
+  SELECT c.id, c.owner_id, c.name, c.description, c.created_at, c.updated_at,
+         COUNT(l.id)::int AS link_count,
+         COALESCE(SUM(l.total_clicks), 0)::int AS total_clicks,
+         COALESCE(SUM(l.bot_clicks), 0)::int AS bot_clicks
+  FROM campaigns c LEFT JOIN links l ON l.campaign_id = c.id`;
+
+const TAG_SELECT = `
+  SELECT t.id, t.owner_id, t.name, t.created_at, COUNT(lt.link_id)::int AS link_count
+  FROM tags t LEFT JOIN link_tags lt ON lt.tag_id = t.id`;
+const DELIVERY_COLUMNS = 'id, webhook_id, event, payload, status, attempts, next_attempt_at, last_status_code, last_error, created_at, delivered_at';
+const CHECK_COLUMNS = 'id, link_id, checked_at, status, status_code, final_url, response_ms, error';
+
+const UNIQUE_VIOLATION = '23505';
+
+// Click series buckets start at local midnight/hour of this process, as in
+// the memory store, whatever time zone the database runs in
+const LOCAL_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Unique index keeping codes that differ only in case apart while
+// caseInsensitiveCodes is on; it's dropped again when turned off
+const CASE_INSENSITIVE_INDEX = 'idx_links_short_code_lower_unique';
+
+async function syncCaseInsensitiveIndex(pool, enabled) {
+  if (!enabled) {
+    await pool.query(`DROP INDEX IF EXISTS ${CASE_INSENSITIVE_INDEX}`);
+    return;
+  }
+
+  try {
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS ${CASE_INSENSITIVE_INDEX} ON links (LOWER(short_code))`);
+  } catch (error) {
+    if (error.code !== UNIQUE_VIOLATION) {
+      throw error;
+    }
+    const clashes = await pool.query(
+      `SELECT string_agg(short_code, ', ' ORDER BY short_code) AS codes FROM links
+       GROUP BY LOWER(short_code) HAVING COUNT(*) > 1 LIMIT 5`
+    );
+    throw new Error(`Case-insensitive codes need codes that differ in more than case; rename or delete one of each: ${clashes.rows.map(r => r.codes).join('; ')}`);
+  }
+}
+
+/**
+ * options.caseInsensitiveCodes  treat codes differing only in case as taken
+ */
+function createPostgresStore(pool, { caseInsensitiveCodes = false } = {}) {
+  const links = {
+    // The unique constraints decide collisions (including the case-insensitive
+    // index, see syncCaseInsensitiveIndex), so a taken code is reported even
+    // when another request inserted it a moment ago
+    async create({ short_code, target_url, owner_id = null, expires_at = null, max_clicks = null, password_hash = null, utm = null, forward_query = false, campaign_id = null, title = null, description = null, interstitial = false, image_url = null }) {
+      const result = await pool.query(
+        `INSERT INTO links (short_code, target_url, owner_id, total_clicks, creation_count, expires_at, max_clicks, password_hash, utm, forward_query, campaign_id, title, description, interstitial, image_url, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW(), NOW())
+         ON CONFLICT DO NOTHING
+         RETURNING ${LINK_FIELDS}`,
+        [short_code, target_url, owner_id, 0, 1, expires_at, max_clicks, password_hash, utm, forward_query, campaign_id, title, description, interstitial, image_url]
+      );
+      if (result.rows.length === 0) {
+        throw new CodeExistsError(short_code);
+      }
+      return result.rows[0];
+    },
+
+    // ignoreCase also matches codes differing in case, preferring an exact
+    // match and then the oldest link
+    async findByCode(code, { ownerId = null, ignoreCase = false } = {}) {
+      const result = await pool.query(
+        `SELECT ${LINK_FIELDS} FROM links
+         WHERE (short_code = $1 OR ($3 AND LOWER(short_code) = LOWER($1))) AND ${ownedBy(2)}
+         ORDER BY short_code = $1 DESC, created_at, id
+         LIMIT 1`,
+        [code, ownerId, ignoreCase]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Oldest plain link (no expiry, click limit, password, UTM fields, query
+    // forwarding, campaign, tags, routing rules or preview details) for this
+    // URL and owner
+    async findByTarget(targetUrl, { ownerId }) {
+      const result = await pool.query(
+        `SELECT ${LINK_FIELDS} FROM links
+         WHERE target_url = $1 AND owner_id = $2 AND expires_at IS NULL AND max_clicks IS NULL AND password_hash IS NULL
+           AND utm IS NULL AND NOT forward_query AND campaign_id IS NULL AND rules IS NULL
+           AND title IS NULL AND description IS NULL AND NOT interstitial AND image_url IS NULL
+           AND NOT EXISTS (SELECT 1 FROM link_tags lt WHERE lt.link_id = links.id)
+         ORDER BY created_at LIMIT 1`,
+        [targetUrl, ownerId]
+      );
+      return result.rows[0] || null;
+    },
+
+    async incrementCreationCount(id) {
+      const result = await pool.query(
+        `UPDATE links SET creation_count = creation_count + 1, updated_at = NOW() WHERE id = $1 RETURNING ${LINK_FIELDS}`,
+        [id]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Count a click while the link is live; the click limit is checked in
+    // the same statement so concurrent hits can't overshoot it. Protected
+    // links only count once the visitor has unlocked them. Bot hits go to
+    // bot_clicks and don't use up the click limit.
+    async incrementClicks(code, { unlocked = false, bot = false } = {}) {
+      const result = await pool.query(
+        `UPDATE links SET
+           total_clicks = total_clicks + CASE WHEN $3 THEN 0 ELSE 1 END,
+           bot_clicks = bot_clicks + CASE WHEN $3 THEN 1 ELSE 0 END,
+           last_clicked = CASE WHEN $3 THEN last_clicked ELSE NOW() END
+         WHERE short_code = $1 AND is_enabled AND NOT ${IS_EXPIRED_SQL} AND (password_hash IS NULL OR $2)
+         RETURNING ${LINK_FIELDS}`,
+        [code, unlocked, bot]
+      );
+      return result.rows[0] || null;
+    },
+
+    // tag filters by tag name; campaignId by campaign, or 'none' for links
+    // outside any campaign
+    async list({ ownerId = null, status, q, tag, campaignId, sort = 'created', order = 'DESC', limit = null, offset = 0 } = {}) {
+      const params = [ownerId];
+      let where = `WHERE ${ownedBy(1)}`;
+
+      if (status === 'active') {
+        where += ` AND NOT ${IS_EXPIRED_SQL}`;
+      } else if (status === 'expired') {
+        where += ` AND ${IS_EXPIRED_SQL}`;
+      }
+
+      if (q) {
+        // Substring match on code or URL; served by the trigram indexes
+        params.push(`%${q.replace(/[\\%_]/g, '\\$&')}%`);
+        where += ` AND (short_code ILIKE $${params.length} OR target_url ILIKE $${params.length})`;
+      }
+
+      if (tag) {
+        params.push(tag);
+        where += ` AND EXISTS (SELECT 1 FROM link_tags lt JOIN tags t ON t.id = lt.tag_id WHERE lt.link_id = links.id AND t.name = $${params.length})`;
+      }
+
+      if (campaignId === 'none') {
+        where += ' AND campaign_id IS NULL';
+      } else if (campaignId) {
+        params.push(campaignId);
+        where += ` AND campaign_id = $${params.length}`;
+      }
+
+      const count = await pool.query(`SELECT COUNT(*)::int AS total FROM links ${where}`, params);
+
+      const direction = order === 'ASC' ? 'ASC' : 'DESC';
+      const result = await pool.query(
+        `SELECT ${LINK_FIELDS} FROM links ${where}
+         ORDER BY ${SORT_COLUMNS[sort]} ${direction} NULLS LAST, id ${direction}
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+
+      return { links: result.rows, total: count.rows[0].total };
+    },
+
+    // password_hash, utm, campaign_id, rules, title, description and
+    // image_url: undefined keeps the current value, null removes it. A new
+    // target_url clears the health status and fetched metadata, so the
+    // destination is checked and fetched again.
+    async update(code, { target_url, short_code, is_enabled, password_hash, utm, forward_query, campaign_id, rules, title, description, interstitial, image_url }, { ownerId = null } = {}) {
+      try {
+        const result = await pool.query(
+          `UPDATE links SET
+             target_url = COALESCE($3, target_url),
+             short_code = COALESCE($4, short_code),
+             is_enabled = COALESCE($5, is_enabled),
+             password_hash = CASE WHEN $6 THEN $7 ELSE password_hash END,
+             utm = CASE WHEN $8 THEN $9::jsonb ELSE utm END,
+             forward_query = COALESCE($10, forward_query),
+             campaign_id = CASE WHEN $11 THEN $12::int ELSE campaign_id END,
+             rules = CASE WHEN $13 THEN $14::jsonb ELSE rules END,
+             title = CASE WHEN $15 THEN $16 ELSE title END,
+             description = CASE WHEN $17 THEN $18 ELSE description END,
+             interstitial = COALESCE($19, interstitial),
+             health_status = CASE WHEN $3 IS NOT NULL AND $3 <> target_url THEN NULL ELSE health_status END,
+             health_checked_at = CASE WHEN $3 IS NOT NULL AND $3 <> target_url THEN NULL ELSE health_checked_at END,
+             image_url = CASE WHEN $20 THEN $21 ELSE image_url END,
+             og = CASE WHEN $3 IS NOT NULL AND $3 <> target_url THEN NULL ELSE og END,
+             og_fetched_at = CASE WHEN $3 IS NOT NULL AND $3 <> target_url THEN NULL ELSE og_fetched_at END,
+             updated_at = NOW()
+           WHERE short_code = $1 AND ${ownedBy(2)}
+           RETURNING ${LINK_FIELDS}`,
+          // pg sends arrays as Postgres arrays, so the rule list goes as JSON text
+          [code, ownerId, target_url ?? null, short_code ?? null, is_enabled ?? null, password_hash !== undefined, password_hash ?? null, utm !== undefined, utm ?? null, forward_query ?? null, campaign_id !== undefined, campaign_id ?? null, rules !== undefined, rules ? JSON.stringify(rules) : null, title !== undefined, title ?? null, description !== undefined, description ?? null, interstitial ?? null, image_url !== undefined, image_url ?? null]
+        );
+        return result.rows[0] || null;
+      } catch (error) {
+        if (error.code === UNIQUE_VIOLATION) {
+          throw new CodeExistsError(short_code);
+        }
+        throw error;
+      }
+    },
+
+    // Apply buffered click counts ([{ id, clicks, bot_clicks, last_clicked }])
+    // in one statement. Unlike incrementClicks this doesn't check the link's
+    // state: the clicks were already served.
+    async addClicks(counts) {
+      if (counts.length === 0) {
+        return;
+      }
+      await pool.query(
+        `UPDATE links SET
+           total_clicks = links.total_clicks + c.human,
+           bot_clicks = links.bot_clicks + c.bots,
+           last_clicked = GREATEST(links.last_clicked, to_timestamp(c.last_ms / 1000.0))
+         FROM unnest($1::int[], $2::int[], $3::int[], $4::float8[]) AS c(id, human, bots, last_ms)
+         WHERE links.id = c.id`,
+        [
+          counts.map(c => c.id),
+          counts.map(c => c.clicks),
+          counts.map(c => c.bot_clicks),
+          counts.map(c => (c.last_clicked ? c.last_clicked.getTime() : null))
+        ]
+      );
+    },
+
+    // Replace a link's tags with these names, creating tags the owner
+    // doesn't have yet. One statement, so concurrent calls can't interleave.
+    async setTags(linkId, ownerId, names) {
+      await pool.query(
+        `WITH wanted AS (
+           INSERT INTO tags (owner_id, name, created_at) SELECT $2, unnest($3::text[]), NOW()
+           ON CONFLICT (owner_id, name) DO UPDATE SET name = EXCLUDED.name
+           RETURNING id
+         ), removed AS (
+           DELETE FROM link_tags WHERE link_id = $1 AND tag_id NOT IN (SELECT id FROM wanted)
+         )
+         INSERT INTO link_tags (link_id, tag_id) SELECT $1, id FROM wanted
+         ON CONFLICT DO NOTHING`,
+        [linkId, ownerId, names]
+      );
+    },
+
+    async getPasswordHash(code) {
+      const result = await pool.query('SELECT password_hash FROM links WHERE short_code = $1', [code]);
+      return result.rows[0] ? result.rows[0].password_hash : null;
+    },
+
+    // Resolves to the deleted link, or null
+    async delete(code, { ownerId = null } = {}) {
+      const result = await pool.query(
+        `DELETE FROM links WHERE short_code = $1 AND ${ownedBy(2)} RETURNING ${LINK_FIELDS}`,
+        [code, ownerId]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Expired links not yet announced, marked as announced in the same step
+    async claimNewlyExpired(limit = 100) {
+      const result = await pool.query(
+        `UPDATE links SET expired_notified_at = NOW()
+         WHERE id IN (
+           SELECT id FROM links
+           WHERE expired_notified_at IS NULL AND ${IS_EXPIRED_SQL}
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING ${LINK_FIELDS}`,
+        [limit]
+      );
+      return result.rows;
+    },
+
+    // Links whose destination metadata hasn't been fetched yet, oldest
+    // first. Claiming stamps og_fetched_at, so each is fetched once.
+    async claimMetadataDue(limit) {
+      const result = await pool.query(
+        `UPDATE links SET og_fetched_at = NOW()
+         WHERE id IN (
+           SELECT id FROM links
+           WHERE og_fetched_at IS NULL
+           ORDER BY id
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING id, short_code, target_url`,
+        [limit]
+      );
+      return result.rows;
+    },
+
+    // Store metadata fetched for link ({ id, target_url }), unless its
+    // destination changed meanwhile. Returns whether it was stored.
+    async setMetadata(link, og) {
+      const result = await pool.query(
+        'UPDATE links SET og = $3 WHERE id = $1 AND target_url = $2',
+        [link.id, link.target_url, og]
+      );
+      return result.rowCount > 0;
+    }
+  };
+
+  const clicks = {
+    // Insert a batch of click events in one statement. Events of links
+    // deleted since the click are skipped (the join locks the rest against
+    // deletion until the insert is done), so they can't fail the batch.
+    async recordMany(events) {
+      if (events.length === 0) {
+        return;
+      }
+      const column = (name, fallback = null) => events.map(e => (e[name] === undefined ? fallback : e[name]));
+      await pool.query(
+        `INSERT INTO clicks (link_id, clicked_at, referrer, user_agent, ip_bucket, country, device_type, browser, os, referrer_domain, is_bot, variant)
+         SELECT c.* FROM unnest($1::int[], $2::timestamptz[], $3::text[], $4::text[], $5::text[], $6::text[], $7::text[], $8::text[], $9::text[], $10::text[], $11::bool[], $12::text[])
+           AS c(link_id, clicked_at, referrer, user_agent, ip_bucket, country, device_type, browser, os, referrer_domain, is_bot, variant)
+         JOIN links ON links.id = c.link_id
+         FOR KEY SHARE OF links`,
+        [
+          column('link_id'),
+          events.map(e => e.clicked_at || new Date()),
+          column('referrer'),
+          column('user_agent'),
+          column('ip_bucket'),
+          column('country'),
+          column('device_type'),
+          column('browser'),
+          column('os'),
+          column('referrer_domain'),
+          column('is_bot', false),
+          column('variant')
+        ]
+      );
+    },
+
+    // Human clicks per routing rule/variant label (null: no rule applied)
+    async variants(linkId) {
+      const result = await pool.query(
+        `SELECT variant, COUNT(*)::int AS count FROM clicks
+         WHERE link_id = $1 AND NOT is_bot
+         GROUP BY variant
+         ORDER BY count DESC, variant NULLS LAST`,
+        [linkId]
+      );
+      return result.rows;
+    },
+
+    // Human clicks per bucket between from and to, including empty buckets
+    async series(linkId, { interval, from, to }) {
+      const result = await pool.query(
+        `SELECT b.bucket, COUNT(c.id)::int AS count
+         FROM generate_series(
+           date_trunc($2, $3::timestamptz, $5),
+           date_trunc($2, $4::timestamptz, $5),
+           ('1 ' || $2)::interval
+         ) AS b(bucket)
+         LEFT JOIN clicks c
+           ON c.link_id = $1
+           AND NOT c.is_bot
+           AND c.clicked_at >= b.bucket
+           AND c.clicked_at < b.bucket + ('1 ' || $2)::interval
+         GROUP BY b.bucket
+         ORDER BY b.bucket`,
+        [linkId, interval, from, to, LOCAL_TIME_ZONE]
+      );
+      return result.rows;
+    },
+
+    // Top values per dimension among human clicks, most clicks first; null
+    // means unknown (or, for referrers, a direct visit)
+    async breakdown(linkId, { limit }) {
+      const [total, ...tables] = await Promise.all([
+        pool.query('SELECT COUNT(*)::int AS total FROM clicks WHERE link_id = $1 AND NOT is_bot', [linkId]),
+        ...Object.values(BREAKDOWN_COLUMNS).map(column => pool.query(
+          `SELECT ${column} AS value, COUNT(*)::int AS count FROM clicks
+           WHERE link_id = $1 AND NOT is_bot
+           GROUP BY ${column}
+           ORDER BY count DESC, value NULLS LAST
+           LIMIT $2`,
+          [linkId, limit]
+        ))
+      ]);
+
+      const result = { total: total.rows[0].total };
+      Object.keys(BREAKDOWN_COLUMNS).forEach((name, i) => {
+        result[name] = tables[i].rows;
+      });
+      return result;
+    }
+  };
+
+  const users = {
+    // Create the user if needed; an existing user is promoted, never demoted
+    async upsert(name, { isAdmin = false } = {}) {
+      const result = await pool.query(
+        `INSERT INTO users (name, is_admin) VALUES ($1, $2)
+         ON CONFLICT (name) DO UPDATE SET is_admin = users.is_admin OR EXCLUDED.is_admin
+         RETURNING id, name, is_admin`,
+        [name, isAdmin]
+      );
+      return result.rows[0];
+    },
+
+    async createKey({ user_id, key_prefix, key_hash, label = null }) {
+      const result = await pool.query(
+        'INSERT INTO api_keys (user_id, key_prefix, key_hash, label, created_at) VALUES ($1, $2, $3, $4, NOW()) RETURNING id, key_prefix, label, created_at',
+        [user_id, key_prefix, key_hash, label]
+      );
+      return result.rows[0];
+    },
+
+    async revokeKey(id) {
+      const result = await pool.query(
+        'UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING id, key_prefix',
+        [id]
+      );
+      return result.rows[0] || null;
+    },
+
+    async listKeys(userName = null) {
+      const result = await pool.query(
+        `SELECT k.id, u.name AS user_name, u.is_admin, k.key_prefix, k.label, k.created_at, k.last_used_at, k.revoked_at
+         FROM api_keys k JOIN users u ON u.id = k.user_id
+         WHERE $1::text IS NULL OR u.name = $1
+         ORDER BY k.created_at`,
+        [userName]
+      );
+      return result.rows;
+    },
+
+    // Resolve an active (non-revoked) key hash to { key_id, id, name, is_admin }
+    async findByKeyHash(keyHash) {
+      const result = await pool.query(
+        `SELECT k.id AS key_id, u.id, u.name, u.is_admin
+         FROM api_keys k JOIN users u ON u.id = k.user_id
+         WHERE k.key_hash = $1 AND k.revoked_at IS NULL`,
+        [keyHash]
+      );
+      return result.rows[0] || null;
+    },
+
+    async touchKey(id) {
+      await pool.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [id]);
+    }
+  };
+
+  const webhooks = {
+    // The secret is only returned here, when the webhook is created
+    async create({ owner_id, url, secret, events }) {
+      const result = await pool.query(
+        `INSERT INTO webhooks (owner_id, url, secret, events, created_at, updated_at) VALUES ($1, $2, $3, $4, NOW(), NOW()) RETURNING ${WEBHOOK_COLUMNS}, secret`,
+        [owner_id, url, secret, events]
+      );
+      return result.rows[0];
+    },
+
+    async list({ ownerId = null } = {}) {
+      const result = await pool.query(
+        `SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE ${ownedBy(1)} ORDER BY id`,
+        [ownerId]
+      );
+      return result.rows;
+    },
+
+    async find(id, { ownerId = null } = {}) {
+      const result = await pool.query(
+        `SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = $1 AND ${ownedBy(2)}`,
+        [id, ownerId]
+      );
+      return result.rows[0] || null;
+    },
+
+    async update(id, { url, events, is_enabled }, { ownerId = null } = {}) {
+      const result = await pool.query(
+        `UPDATE webhooks SET
+           url = COALESCE($3, url),
+           events = COALESCE($4, events),
+           is_enabled = COALESCE($5, is_enabled),
+           updated_at = NOW()
+         WHERE id = $1 AND ${ownedBy(2)}
+         RETURNING ${WEBHOOK_COLUMNS}`,
+        [id, ownerId, url ?? null, events ?? null, is_enabled ?? null]
+      );
+      return result.rows[0] || null;
+    },
+
+    async delete(id, { ownerId = null } = {}) {
+      const result = await pool.query(
+        `DELETE FROM webhooks WHERE id = $1 AND ${ownedBy(2)} RETURNING id`,
+        [id, ownerId]
+      );
+      return result.rows.length > 0;
+    },
+
+    // Enabled webhooks that want this event for a link owned by linkOwnerId.
+    // Admins' webhooks hear about every link.
+    async subscribers(event, linkOwnerId) {
+      const result = await pool.query(
+        `SELECT w.id, w.url, w.secret
+         FROM webhooks w JOIN users u ON u.id = w.owner_id
+         WHERE w.is_enabled AND $1 = ANY(w.events) AND (w.owner_id = $2 OR u.is_admin)`,
+        [event, linkOwnerId]
+      );
+      return result.rows;
+    }
+  };
+
+  const campaigns = {
+    async create({ owner_id, name, description = null }) {
+      try {
+        const result = await pool.query(
+          'INSERT INTO campaigns (owner_id, name, description, created_at, updated_at) VALUES ($1, $2, $3, NOW(), NOW()) RETURNING id',
+          [owner_id, name, description]
+        );
+        return campaigns.find(result.rows[0].id);
+      } catch (error) {
+        if (error.code === UNIQUE_VIOLATION) {
+          throw new NameExistsError('campaign', name);
+        }
+        throw error;
+      }
+    },
+
+    async list({ ownerId = null } = {}) {
+      const result = await pool.query(
+        `${CAMPAIGN_SELECT} WHERE ($1::int IS NULL OR c.owner_id = $1) GROUP BY c.id ORDER BY c.name, c.id`,
+        [ownerId]
+      );
+      return result.rows;
+    },
+
+    async find(id, { ownerId = null } = {}) {
+      const result = await pool.query(
+        `${CAMPAIGN_SELECT} WHERE c.id = $1 AND ($2::int IS NULL OR c.owner_id = $2) GROUP BY c.id`,
+        [id, ownerId]
+      );
+      return result.rows[0] || null;
+    },
+
+    // description: undefined keeps it, null removes it
+    async update(id, { name, description }, { ownerId = null } = {}) {
+      try {
+        const result = await pool.query(
+          `UPDATE campaigns SET
+             name = COALESCE($3, name),
+             description = CASE WHEN $4 THEN $5 ELSE description END,
+             updated_at = NOW()
+           WHERE id = $1 AND ${ownedBy(2)}
+           RETURNING id`,
+          [id, ownerId, name ?? null, description !== undefined, description ?? null]
+        );
+        return result.rows.length > 0 ? campaigns.find(id) : null;
+      } catch (error) {
+        if (error.code === UNIQUE_VIOLATION) {
+          throw new NameExistsError('campaign', name);
+        }
+        throw error;
+      }
+    },
+
+    // Links in the campaign stay, outside any campaign
+    async delete(id, { ownerId = null } = {}) {
+      const result = await pool.query(
+        `DELETE FROM campaigns WHERE id = $1 AND ${ownedBy(2)} RETURNING id`,
+        [id, ownerId]
+      );
+      return result.rows.length > 0;
+    }
+  };
+
+  const tags = {
+    async create({ owner_id, name }) {
+      try {
+        const result = await pool.query(
+          'INSERT INTO tags (owner_id, name, created_at) VALUES ($1, $2, NOW()) RETURNING id, owner_id, name, created_at',
+          [owner_id, name]
+        );
+        return { ...result.rows[0], link_count: 0 };
+      } catch (error) {
+        if (error.code === UNIQUE_VIOLATION) {
+          throw new NameExistsError('tag', name);
+        }
+        throw error;
+      }
+    },
+
+    async list({ ownerId = null } = {}) {
+      const result = await pool.query(
+        `${TAG_SELECT} WHERE ($1::int IS NULL OR t.owner_id = $1) GROUP BY t.id ORDER BY t.name, t.id`,
+        [ownerId]
+      );
+      return result.rows;
+    },
+
+    async find(id, { ownerId = null } = {}) {
+      const result = await pool.query(
+        `${TAG_SELECT} WHERE t.id = $1 AND ($2::int IS NULL OR t.owner_id = $2) GROUP BY t.id`,
+        [id, ownerId]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Renaming a tag renames it on all of its links
+    async update(id, { name }, { ownerId = null } = {}) {
+      try {
+        const result = await pool.query(
+          `UPDATE tags SET name = $3 WHERE id = $1 AND ${ownedBy(2)} RETURNING id`,
+          [id, ownerId, name]
+        );
+        return result.rows.length > 0 ? tags.find(id) : null;
+      } catch (error) {
+        if (error.code === UNIQUE_VIOLATION) {
+          throw new NameExistsError('tag', name);
+        }
+        throw error;
+      }
+    },
+
+    async delete(id, { ownerId = null } = {}) {
+      const result = await pool.query(
+        `DELETE FROM tags WHERE id = $1 AND ${ownedBy(2)} RETURNING id`,
+        [id, ownerId]
+      );
+      return result.rows.length > 0;
+    }
+  };
+
+  const deliveries = {
+    async enqueue({ webhook_id, event, payload }) {
+      const result = await pool.query(
+        `INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at, created_at) VALUES ($1, $2, $3, NOW(), NOW()) RETURNING ${DELIVERY_COLUMNS}`,
+        [webhook_id, event, payload]
+      );
+      return result.rows[0];
+    },
+
+    // Pending deliveries that are due, with their webhook's url and secret.
+    // Claimed rows are pushed back by leaseMs (and their attempt counted), so
+    // another worker won't pick them up while they are being sent.
+    async claimDue(limit, leaseMs) {
+      const result = await pool.query(
+        `UPDATE webhook_deliveries d SET
+           attempts = d.attempts + 1,
+           next_attempt_at = NOW() + $2 * INTERVAL '1 millisecond'
+         FROM webhooks w
+         WHERE w.id = d.webhook_id AND d.id IN (
+           SELECT dd.id FROM webhook_deliveries dd JOIN webhooks ww ON ww.id = dd.webhook_id
+           WHERE dd.status = 'pending' AND dd.next_attempt_at <= NOW() AND ww.is_enabled
+           ORDER BY dd.next_attempt_at
+           LIMIT $1
+           FOR UPDATE OF dd SKIP LOCKED
+         )
+         RETURNING d.id, d.webhook_id, d.event, d.payload, d.attempts, w.url, w.secret`,
+        [limit, leaseMs]
+      );
+      return result.rows;
+    },
+
+    async markDelivered(id, { status_code }) {
+      await pool.query(
+        `UPDATE webhook_deliveries SET status = 'delivered', last_status_code = $2, last_error = NULL, next_attempt_at = NULL, delivered_at = NOW() WHERE id = $1`,
+        [id, status_code]
+      );
+    },
+
+    // retryAt null gives up on the delivery
+    async markFailed(id, { status_code = null, error, retryAt }) {
+      await pool.query(
+        `UPDATE webhook_deliveries SET
+           status = CASE WHEN $4::timestamptz IS NULL THEN 'failed' ELSE 'pending' END,
+           last_status_code = $2,
+           last_error = $3,
+           next_attempt_at = $4
+         WHERE id = $1`,
+        [id, status_code, error, retryAt]
+      );
+    },
+
+    // Newest first
+    async list(webhookId, { limit, offset = 0 }) {
+      const count = await pool.query(
+        'SELECT COUNT(*)::int AS total FROM webhook_deliveries WHERE webhook_id = $1',
+        [webhookId]
+      );
+      const result = await pool.query(
+        `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries WHERE webhook_id = $1 ORDER BY id DESC LIMIT $2 OFFSET $3`,
+        [webhookId, limit, offset]
+      );
+      return { deliveries: result.rows, total: count.rows[0].total };
+    }
+  };
+
+  const linkChecks = {
+    // Enabled, unexpired links never checked or last checked more than
+    // intervalMs ago. Claiming stamps health_checked_at, so another worker
+    // won't check the same links meanwhile.
+    async claimDue(limit, intervalMs) {
+      const result = await pool.query(
+        `UPDATE links SET health_checked_at = NOW()
+         WHERE id IN (
+           SELECT id FROM links
+           WHERE is_enabled AND NOT ${IS_EXPIRED_SQL}
+             AND (health_checked_at IS NULL OR health_checked_at <= NOW() - $2 * INTERVAL '1 millisecond')
+           ORDER BY health_checked_at NULLS FIRST, id
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING id, short_code, target_url`,
+        [limit, intervalMs]
+      );
+      return result.rows;
+    },
+
+    // Store a check of link ({ id, target_url }) and make it the link's
+    // health status, keeping the newest `keep` checks. Nothing is stored
+    // when the link was deleted or its destination changed meanwhile.
+    async record(link, { status, status_code = null, final_url = null, response_ms = null, error = null }, { keep }) {
+      const inserted = await pool.query(
+        `WITH check_row AS (
+           INSERT INTO link_checks (link_id, checked_at, status, status_code, final_url, response_ms, error)
+           SELECT id, NOW(), $3, $4, $5, $6, $7 FROM links WHERE id = $1 AND target_url = $2
+           RETURNING ${CHECK_COLUMNS}
+         ), updated AS (
+           UPDATE links SET health_status = check_row.status, health_checked_at = check_row.checked_at
+           FROM check_row WHERE links.id = check_row.link_id
+         )
+         SELECT * FROM check_row`,
+        [link.id, link.target_url, status, status_code, final_url, response_ms, error]
+      );
+      if (inserted.rows.length === 0) {
+        return null;
+      }
+
+      await pool.query(
+        `DELETE FROM link_checks WHERE link_id = $1 AND id NOT IN (
+           SELECT id FROM link_checks WHERE link_id = $1 ORDER BY id DESC LIMIT $2
+         )`,
+        [link.id, keep]
+      );
+      return inserted.rows[0];
+    },
+
+    // Newest first
+    async list(linkId, { limit }) {
+      const result = await pool.query(
+        `SELECT ${CHECK_COLUMNS} FROM link_checks WHERE link_id = $1 ORDER BY id DESC LIMIT $2`,
+        [linkId, limit]
+      );
+      return result.rows;
+    },
+
+    // Links whose latest check has one of the given statuses, most recently
+    // checked first, each with that check as last_check
+    async broken({ statuses, ownerId = null, limit, offset = 0 }) {
+      const where = `health_status = ANY($1) AND ${ownedBy(2)}`;
+      const count = await pool.query(
+        `SELECT COUNT(*)::int AS total FROM links WHERE ${where}`,
+        [statuses, ownerId]
+      );
+      const result = await pool.query(
+        `SELECT ${LINK_FIELDS} FROM links WHERE ${where}
+         ORDER BY health_checked_at DESC, id DESC LIMIT $3 OFFSET $4`,
+        [statuses, ownerId, limit, offset]
+      );
+
+      const ids = result.rows.map(link => link.id);
+      const checks = await pool.query(
+        `SELECT DISTINCT ON (link_id) ${CHECK_COLUMNS} FROM link_checks
+         WHERE link_id = ANY($1) ORDER BY link_id, id DESC`,
+        [ids]
+      );
+      const latest = new Map(checks.rows.map(check => [check.link_id, check]));
+
+      return {
+        links: result.rows.map(link => ({ ...link, last_check: latest.get(link.id) || null })),
+        total: count.rows[0].total
+      };
+    }
+  };
+
+  return {
+    backend: 'postgres',
+    pool,
+    links,
+    clicks,
+    users,
+    webhooks,
+    deliveries,
+    linkChecks,
+    campaigns,
+    tags,
+
+    // Bring the schema up to date
+    async init() {
+      await migrate(pool, { log: message => logger.info(message) });
+      await syncCaseInsensitiveIndex(pool, caseInsensitiveCodes);
+    },
+
+    async ping() {
+      await pool.query('SELECT 1');
+    },
+
+    poolStats() {
+      return { total: pool.totalCount, idle: pool.idleCount, waiting: pool.waitingCount };
+    },
+
+    async close() {
+      await pool.end();
+    }
+  };
+}
+
+module.exports = createPostgresStore;
@@ -0,0 +1,105 @@
+/**
+ * API key authentication
+ * Keys look like tl_<prefix>_<secret>; only a SHA-256 hash is stored, with
+ * the short prefix kept in clear text so keys can be identified in listings.
+ */
+
+const crypto = require('crypto');
+
+const KEY_PATTERN = /^tl_([A-Za-z0-9]{8})_[A-Za-z0-9_-]{32}$/;
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateApiKey() {
+  const prefix = crypto.randomBytes(6).toString('base64').replace(/[^A-Za-z0-9]/g, 'x').slice(0, 8);
+  const secret = crypto.randomBytes(24).toString('base64url');
+  return `tl_${prefix}_${secret}`;
+}
+
+/**
+ * Create (or reuse) a user and issue a new API key for them.
+ * The plain key is only ever returned here.
+ */
+async function issueApiKey(store, userName, { admin = false, label = null } = {}) {
+  const user = await store.users.upsert(userName, { isAdmin: admin });
+
+  const key = generateApiKey();
+  const apiKey = await store.users.createKey({
+    user_id: user.id,
+    key_prefix: key.match(KEY_PATTERN)[1],
+    key_hash: hashApiKey(key),
+    label
+  });
+
+  return { key, user, apiKey };
+}
+
+async function revokeApiKey(store, keyId) {
+  return store.users.revokeKey(keyId);
+}
+
+async function listApiKeys(store, userName) {
+  return store.users.listKeys(userName || null);
+}
+
+/**
+ * Express middleware: resolve `Authorization: Bearer <key>` to req.user,
+ * responding 401 when the key is missing, malformed or revoked.
+ */
+function authenticate(store) {
+  return async (req, res, next) => {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+
+    if (!match || !KEY_PATTERN.test(match[1])) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'API key required' });
+    }
+
+    if (!store) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    try {
+      const found = await store.users.findByKeyHash(hashApiKey(match[1]));
+
+      if (!found) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({ error: 'Invalid or revoked API key' });
+      }
+
+      const { key_id, ...user } = found;
+      req.user = user;
+      req.apiKeyId = key_id;
+
+      store.users.touchKey(key_id).catch(err => {
+        req.log.error('Error updating key usage', { err });
+      });
+
+      next();
+    } catch (error) {
+      req.log.error('Error authenticating request', { err: error });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Owner filter value for link queries: admins see every link (null),
+ * everyone else only their own.
+ */
+function ownerScope(user) {
+  return user.is_admin ? null : user.id;
+}
+
+module.exports = {
+  hashApiKey,
+  generateApiKey,
+  issueApiKey,
+  revokeApiKey,
+  listApiKeys,
+  authenticate,
+  ownerScope
+};
@@ -0,0 +1,95 @@
+/**
+ * Bot detection
+ * Link previews (Slack, Twitter, ...), crawlers and browser prefetches follow
+ * short links without a person clicking. Their hits are counted separately
+ * so total_clicks only reflects people.
+ *
+ * A request is a bot hit when it is a HEAD request, carries a prefetch or
+ * preview header, has no User-Agent, or its User-Agent contains one of the
+ * patterns from the bot list (data/bot-user-agents.txt by default).
+ *
+ * Link preview crawlers are recognized separately (data/preview-crawlers.txt
+ * by default), as they are served OpenGraph tags instead of a redirect.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LIST_FILE = path.join(__dirname, '..', 'data', 'bot-user-agents.txt');
+const DEFAULT_CRAWLER_FILE = path.join(__dirname, '..', 'data', 'preview-crawlers.txt');
+
+// Headers browsers and apps send when loading a page speculatively
+const PREFETCH_HEADERS = ['purpose', 'sec-purpose', 'x-purpose', 'x-moz'];
+
+/**
+ * Read a pattern list: one pattern per line, blank lines and # comments
+ * ignored
+ */
+function loadPatternList(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*/, '').trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Build a detector from a list of User-Agent patterns. The returned
+ * function takes a request and resolves to the reason it looks automated
+ * (head_request, prefetch, no_user_agent or user_agent), or null for people.
+ */
+function createBotDetector({ userAgents = [] } = {}) {
+  return function detectBot(req) {
+    if (req.method === 'HEAD') {
+      return 'head_request';
+    }
+
+    const prefetch = PREFETCH_HEADERS.some(name => /prefetch|preview|prerender/i.test(req.get(name) || ''));
+    if (prefetch) {
+      return 'prefetch';
+    }
+
+    const userAgent = (req.get('user-agent') || '').toLowerCase();
+    if (!userAgent) {
+      return 'no_user_agent';
+    }
+
+    return userAgents.some(pattern => userAgent.includes(pattern)) ? 'user_agent' : null;
+  };
+}
+
+/**
+ * Detector using the list in BOT_USER_AGENTS_FILE, or the bundled one
+ */
+function botDetectorFromEnv() {
+  return createBotDetector({
+    userAgents: loadPatternList(process.env.BOT_USER_AGENTS_FILE || DEFAULT_LIST_FILE)
+  });
+}
+
+/**
+ * Build a matcher telling whether a GET request comes from a link preview
+ * crawler, given their User-Agent patterns
+ */
+function createCrawlerMatcher({ userAgents = [] } = {}) {
+  return function isPreviewCrawler(req) {
+    const userAgent = (req.get('user-agent') || '').toLowerCase();
+    return req.method === 'GET' && userAgent !== '' && userAgents.some(pattern => userAgent.includes(pattern));
+  };
+}
+
+/**
+ * Matcher using the list in PREVIEW_CRAWLERS_FILE, or the bundled one
+ */
+function crawlerMatcherFromEnv() {
+  return createCrawlerMatcher({
+    userAgents: loadPatternList(process.env.PREVIEW_CRAWLERS_FILE || DEFAULT_CRAWLER_FILE)
+  });
+}
+
+module.exports = {
+  loadPatternList,
+  createBotDetector,
+  botDetectorFromEnv,
+  createCrawlerMatcher,
+  crawlerMatcherFromEnv
+};
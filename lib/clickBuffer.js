@@ -0,0 +1,174 @@
+/**
+ * Buffered click counters and events
+ * Redirects served from the link cache count their click here instead of
+ * writing to the store, and every redirect logs its click event here.
+ * Counts are summed per link; both are written in one batch each
+ * (store.links.addClicks, store.clicks.recordMany) every flush interval,
+ * when enough clicks are pending, and on shutdown. A failed batch is kept
+ * and retried with the next one, so clicks are delayed rather than lost
+ * while the store is down. Past maxEvents pending events the oldest are
+ * dropped (counts are never dropped).
+ */
+
+const { logger } = require('./logger');
+
+/**
+ * options.flushMs     how often pending clicks are written (0: right away)
+ * options.maxPending  flush early once this many counts or events are pending
+ * options.maxEvents   events kept while the store is failing
+ */
+function createClickBuffer(store, { flushMs = 2000, maxPending = 1000, maxEvents = maxPending * 100 } = {}) {
+  // link id -> { clicks, bot_clicks, last_clicked }
+  let pending = new Map();
+  let pendingClicks = 0;
+  let events = [];
+  let timer = null;
+  let flushing = null;
+
+  const stats = {
+    buffered: 0,
+    logged: 0,
+    flushes: 0,
+    flushed_clicks: 0,
+    flushed_events: 0,
+    dropped_events: 0,
+    failed_flushes: 0,
+    last_flush_at: null,
+    last_flush_ms: null,
+    last_error: null
+  };
+
+  function merge(linkId, counts) {
+    const entry = pending.get(linkId) || { clicks: 0, bot_clicks: 0, last_clicked: null };
+    entry.clicks += counts.clicks;
+    entry.bot_clicks += counts.bot_clicks;
+    if (counts.last_clicked && (!entry.last_clicked || counts.last_clicked > entry.last_clicked)) {
+      entry.last_clicked = counts.last_clicked;
+    }
+    pending.set(linkId, entry);
+    pendingClicks += counts.clicks + counts.bot_clicks;
+  }
+
+  function keepEvents(batch) {
+    events = batch.concat(events);
+    if (events.length > maxEvents) {
+      stats.dropped_events += events.length - maxEvents;
+      events = events.slice(events.length - maxEvents);
+    }
+  }
+
+  function failed(error, context) {
+    stats.failed_flushes++;
+    stats.last_error = error.message;
+    logger.error('Error flushing clicks', { err: error, ...context });
+    return false;
+  }
+
+  // Counts and events are written separately, so a failure of one doesn't
+  // write the other twice on retry
+  async function writeBatch() {
+    const batch = pending;
+    const batchClicks = pendingClicks;
+    const eventBatch = events;
+    pending = new Map();
+    pendingClicks = 0;
+    events = [];
+
+    const started = Date.now();
+    let ok = true;
+
+    if (batch.size > 0) {
+      try {
+        await store.links.addClicks([...batch].map(([id, counts]) => ({ id, ...counts })));
+        stats.flushed_clicks += batchClicks;
+      } catch (error) {
+        ok = failed(error, { pending_clicks: batchClicks });
+        batch.forEach((counts, linkId) => merge(linkId, counts));
+      }
+    }
+
+    if (eventBatch.length > 0) {
+      try {
+        await store.clicks.recordMany(eventBatch);
+        stats.flushed_events += eventBatch.length;
+      } catch (error) {
+        ok = failed(error, { pending_events: eventBatch.length });
+        keepEvents(eventBatch);
+      }
+    }
+
+    if (ok) {
+      stats.flushes++;
+      stats.last_flush_at = new Date(started).toISOString();
+      stats.last_flush_ms = Date.now() - started;
+    }
+    return ok;
+  }
+
+  const hasPending = () => pending.size > 0 || events.length > 0;
+  const due = () => hasPending() && (flushMs === 0 || pendingClicks >= maxPending || events.length >= maxPending);
+
+  // One batch at a time; clicks arriving meanwhile go in the next one,
+  // which starts right away if they are already due (after a failure, the
+  // retry waits for the timer)
+  function flush() {
+    if (!flushing && hasPending()) {
+      flushing = writeBatch().then(ok => {
+        flushing = null;
+        if (ok && due()) {
+          flush();
+        }
+      });
+    }
+    return flushing || Promise.resolve();
+  }
+
+  return {
+    add(linkId, { bot = false } = {}) {
+      merge(linkId, bot
+        ? { clicks: 0, bot_clicks: 1, last_clicked: null }
+        : { clicks: 1, bot_clicks: 0, last_clicked: new Date() });
+      stats.buffered++;
+
+      if (due()) {
+        flush();
+      }
+    },
+
+    // Queue a click event (see clickEvent() in lib/clicks.js)
+    log(event) {
+      events.push(event);
+      stats.logged++;
+
+      if (due()) {
+        flush();
+      }
+    },
+
+    flush,
+
+    stats() {
+      return { ...stats, pending_clicks: pendingClicks, pending_links: pending.size, pending_events: events.length, flush_interval_ms: flushMs };
+    },
+
+    start() {
+      if (timer || flushMs === 0) {
+        return;
+      }
+      timer = setInterval(flush, flushMs);
+      timer.unref();
+    },
+
+    // Stop the timer and write everything still pending
+    async stop() {
+      clearInterval(timer);
+      timer = null;
+      await flushing;
+      await flush();
+    }
+  };
+}
+
+module.exports = {
+  createClickBuffer
+};
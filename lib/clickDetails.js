@@ -0,0 +1,80 @@
+/**
+ * Click classification
+ * Derives the breakdown dimensions stored with every click: country (from
+ * the bundled offline GeoIP database, no network lookups), device type,
+ * browser and OS (from the User-Agent) and the referring domain.
+ */
+
+const UAParser = require('ua-parser-js');
+
+// ua-parser-js leaves the device type empty for desktop browsers
+const DEVICE_TYPES = ['mobile', 'tablet', 'console', 'smarttv', 'wearable', 'embedded'];
+
+const MAX_NAME_LENGTH = 50;
+
+let geoip = null;
+
+// The database is loaded on first use so startup (and the CLIs) stay fast
+function countryFor(ip) {
+  if (!ip) {
+    return null;
+  }
+
+  if (!geoip) {
+    geoip = require('geoip-country');
+  }
+
+  const address = ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+  const result = geoip.lookup(address);
+  return result ? result.country : null;
+}
+
+function parseUserAgent(userAgent) {
+  if (!userAgent) {
+    return { device_type: null, browser: null, os: null };
+  }
+
+  const { browser, os, device } = new UAParser(userAgent).getResult();
+
+  return {
+    device_type: DEVICE_TYPES.includes(device.type) ? device.type : 'desktop',
+    browser: browser.name ? browser.name.slice(0, MAX_NAME_LENGTH) : null,
+    os: os.name ? os.name.slice(0, MAX_NAME_LENGTH) : null
+  };
+}
+
+// Hostname of the referring page, without "www."
+function referrerDomain(referrer) {
+  if (!referrer) {
+    return null;
+  }
+
+  try {
+    const { protocol, hostname } = new URL(referrer);
+    if (!hostname || (protocol !== 'http:' && protocol !== 'https:')) {
+      return null;
+    }
+    return hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Breakdown fields for a click made by this request
+ */
+function classifyClick(req) {
+  return {
+    country: countryFor(req.ip),
+    ...parseUserAgent(req.get('user-agent')),
+    referrer_domain: referrerDomain(req.get('referer'))
+  };
+}
+
+module.exports = {
+  DEVICE_TYPES,
+  countryFor,
+  parseUserAgent,
+  referrerDomain,
+  classifyClick
+};
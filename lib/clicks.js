@@ -0,0 +1,130 @@
+/**
+ * Click event helpers
+ * Describes individual redirects and aggregates them into time buckets
+ */
+
+const net = require('net');
+const { classifyClick } = require('./clickDetails');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Bucket sizes supported by the time-series endpoint, with the number of
+// buckets shown when the caller doesn't pass `from`
+const INTERVALS = {
+  hour: { bucketMs: HOUR_MS, defaultBuckets: 24 },
+  day: { bucketMs: 24 * HOUR_MS, defaultBuckets: 30 },
+  week: { bucketMs: 7 * 24 * HOUR_MS, defaultBuckets: 12 }
+};
+
+const MAX_BUCKETS = 1000;
+
+const DEFAULT_BREAKDOWN_LIMIT = 10;
+const MAX_BREAKDOWN_LIMIT = 100;
+
+/**
+ * Reduce an IP address to a coarse network bucket (/24 for IPv4, /48 for
+ * IPv6) so we can see where traffic comes from without storing full IPs.
+ */
+function ipBucket(ip) {
+  if (!ip) {
+    return null;
+  }
+
+  // Express reports IPv4 clients on dual-stack sockets as ::ffff:a.b.c.d
+  const address = ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+
+  if (net.isIPv4(address)) {
+    const octets = address.split('.');
+    return `${octets[0]}.${octets[1]}.${octets[2]}.0/24`;
+  }
+
+  if (net.isIPv6(address)) {
+    const [head, tail = ''] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const missing = 8 - headGroups.length - tailGroups.length;
+    const groups = [...headGroups, ...Array(Math.max(missing, 0)).fill('0'), ...tailGroups];
+    return `${groups.slice(0, 3).map(g => parseInt(g, 16).toString(16)).join(':')}::/48`;
+  }
+
+  return null;
+}
+
+/**
+ * The click event to log for a redirect of the given link, classified for
+ * the breakdown. Bot hits are logged too, but left out of the series and
+ * breakdown. variant is the routing rule or variant label that chose the
+ * destination. Events are written in batches by lib/clickBuffer.js.
+ */
+function clickEvent(linkId, req, { bot = false, variant = null } = {}) {
+  return {
+    link_id: linkId,
+    clicked_at: new Date(),
+    referrer: req.get('referer') || null,
+    user_agent: req.get('user-agent') || null,
+    ip_bucket: ipBucket(req.ip),
+    ...classifyClick(req),
+    is_bot: bot,
+    variant
+  };
+}
+
+/**
+ * Validate the from/to/interval query parameters of the time-series endpoint.
+ * Returns { error } when the input is unusable.
+ */
+function parseClickRange(query) {
+  const interval = query.interval || 'day';
+
+  if (!INTERVALS[interval]) {
+    return { error: 'interval must be one of: hour, day, week' };
+  }
+
+  const { bucketMs, defaultBuckets } = INTERVALS[interval];
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - bucketMs * (defaultBuckets - 1));
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+
+  if (from > to) {
+    return { error: 'from must be before to' };
+  }
+
+  if ((to - from) / bucketMs > MAX_BUCKETS) {
+    return { error: `Range too large: at most ${MAX_BUCKETS} ${interval} buckets per request` };
+  }
+
+  return { interval, from, to };
+}
+
+/**
+ * Count clicks per bucket between from and to. Empty buckets are included
+ * with a count of 0 so the result can be charted directly.
+ */
+async function getClickSeries(store, linkId, range) {
+  return store.clicks.series(linkId, range);
+}
+
+/**
+ * Validate the limit query parameter of the breakdown endpoint
+ */
+function parseBreakdownLimit(query) {
+  const limit = query.limit === undefined ? DEFAULT_BREAKDOWN_LIMIT : Number(query.limit);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_BREAKDOWN_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_BREAKDOWN_LIMIT}` };
+  }
+
+  return { limit };
+}
+
+module.exports = {
+  INTERVALS,
+  ipBucket,
+  clickEvent,
+  parseClickRange,
+  getClickSeries,
+  parseBreakdownLimit
+};
@@ -0,0 +1,83 @@
+/**
+ * Short code generation
+ * Random codes for links created without a custom code, drawn with crypto
+ * randomness from a configurable alphabet.
+ *
+ * A generator is just a function returning a new code. Uniqueness is left to
+ * the store's unique constraint: callers insert and draw again on a
+ * collision. Point CODE_GENERATOR at a module exporting such a function to
+ * replace the built-in one.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const Slug = require('../public/slug');
+
+const ALPHABETS = {
+  default: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789',
+  // Without 0/O and 1/l/I, which people misread when typing a code
+  unambiguous: 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789'
+};
+
+/**
+ * Build a generator.
+ *
+ * options.alphabet   name from ALPHABETS, or the characters to use
+ * options.minLength  shortest code
+ * options.maxLength  longest code (each length in between is equally likely)
+ * options.lowercase  only emit lowercase letters (for case-insensitive codes)
+ */
+function createCodeGenerator({ alphabet = 'default', minLength = 6, maxLength = 8, lowercase = false } = {}) {
+  let chars = ALPHABETS[alphabet] || alphabet;
+  if (lowercase) {
+    // Fold letters to lowercase, without bringing back lowercase letters the
+    // alphabet leaves out on purpose (unambiguous has L but not l)
+    const original = chars;
+    const hasLowercase = /[a-z]/.test(original);
+    chars = [...original.toLowerCase()].filter(c => !hasLowercase || original.includes(c)).join('');
+  }
+  chars = [...new Set(chars)].join('');
+
+  if (!/^[A-Za-z0-9]{2,}$/.test(chars)) {
+    throw new Error(`Code alphabet must be ${Object.keys(ALPHABETS).join(' or ')}, or at least two letters/digits`);
+  }
+  if (!(Number.isInteger(minLength) && Number.isInteger(maxLength) && minLength >= 1 && minLength <= maxLength && maxLength <= Slug.HARD_MAX_LENGTH)) {
+    throw new Error(`Code lengths must satisfy 1 <= min <= max <= ${Slug.HARD_MAX_LENGTH}`);
+  }
+
+  return function generateCode() {
+    const length = crypto.randomInt(minLength, maxLength + 1);
+    let code = '';
+    for (let i = 0; i < length; i++) {
+      code += chars[crypto.randomInt(chars.length)];
+    }
+    return code;
+  };
+}
+
+/**
+ * Generator configured from CODE_GENERATOR, or from CODE_ALPHABET,
+ * CODE_MIN_LENGTH and CODE_MAX_LENGTH
+ */
+function generatorFromEnv({ lowercase = false } = {}) {
+  if (process.env.CODE_GENERATOR) {
+    const custom = require(path.resolve(process.env.CODE_GENERATOR));
+    if (typeof custom !== 'function') {
+      throw new Error('CODE_GENERATOR must be a module exporting a function that returns a new code');
+    }
+    return custom;
+  }
+
+  return createCodeGenerator({
+    alphabet: process.env.CODE_ALPHABET || 'default',
+    minLength: Number(process.env.CODE_MIN_LENGTH || 6),
+    maxLength: Number(process.env.CODE_MAX_LENGTH || 8),
+    lowercase
+  });
+}
+
+module.exports = {
+  ALPHABETS,
+  createCodeGenerator,
+  generatorFromEnv
+};
@@ -0,0 +1,25 @@
+/**
+ * Environment configuration helpers
+ */
+
+/**
+ * Read a non-negative number from the environment, or fallback when unset.
+ * Throws on anything else, so a typo fails at startup instead of silently
+ * disabling a limit.
+ */
+function readNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') {
+    return fallback;
+  }
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative number`);
+  }
+  return value;
+}
+
+module.exports = {
+  readNumber
+};
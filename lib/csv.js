@@ -0,0 +1,126 @@
+/**
+ * Minimal CSV reading/writing (RFC 4180 quoting) for link import/export
+ */
+
+/**
+ * Split CSV text into an array of records (arrays of strings)
+ */
+function parseRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Malformed CSV: unterminated quoted field');
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Drop blank lines
+  return records.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV into objects keyed by the header row. When the first row is not
+ * a header (doesn't contain the first default column name), the default
+ * columns are used instead.
+ */
+function parseCsv(text, defaultColumns) {
+  const records = parseRecords(text.replace(/^\uFEFF/, ''));
+  if (records.length === 0) {
+    return [];
+  }
+
+  const firstRow = records[0].map(value => value.trim().toLowerCase());
+  const hasHeader = firstRow.includes(defaultColumns[0]);
+  const columns = hasHeader ? firstRow : defaultColumns;
+  const dataRows = hasHeader ? records.slice(1) : records;
+
+  return dataRows.map(values => {
+    const row = {};
+    columns.forEach((column, i) => {
+      const value = (values[i] || '').trim();
+      if (column && value !== '') {
+        row[column] = value;
+      }
+    });
+    return row;
+  });
+}
+
+/**
+ * Read a true/false field, which bulk CSV imports pass as text. Returns
+ * { value } (undefined when absent) or { error } naming the field.
+ */
+function parseFlag(name, value) {
+  if (value === undefined || value === null || value === '') {
+    return { value: undefined };
+  }
+  if (value === true || value === 'true') {
+    return { value: true };
+  }
+  if (value === false || value === 'false') {
+    return { value: false };
+  }
+  return { error: `${name} must be true or false` };
+}
+
+function escapeField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialise rows to CSV with a header line, using the given column order
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeField(row[column])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  parseFlag,
+  toCsv
+};
@@ -0,0 +1,53 @@
+/**
+ * Readiness checks
+ * /healthz only says the process is up; /readyz (and `node diagnose.js`)
+ * run these checks to tell whether it can actually serve requests. Each
+ * check reports { ok, latency_ms } plus an error message when it fails.
+ */
+
+const DEFAULT_TIMEOUT_MS = 2000;
+
+// Run one check, failing it when it takes longer than timeoutMs
+async function runCheck(check, timeoutMs) {
+  const started = Date.now();
+  let timer;
+
+  try {
+    await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs} ms`)), timeoutMs);
+      })
+    ]);
+    return { ok: true, latency_ms: Date.now() - started };
+  } catch (error) {
+    return { ok: false, latency_ms: Date.now() - started, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Probe the store with a round trip to the database, reporting the
+ * connection pool's counts alongside. Returns { ok, checks }.
+ */
+async function checkReadiness(store, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  if (!store) {
+    return { ok: false, checks: { database: { ok: false, error: 'Database not available' } } };
+  }
+
+  const checks = {
+    database: await runCheck(() => store.ping(), timeoutMs)
+  };
+
+  const pool = store.poolStats();
+  if (pool) {
+    checks.database.pool = pool;
+  }
+
+  return { ok: Object.values(checks).every(check => check.ok), checks };
+}
+
+module.exports = {
+  checkReadiness
+};
@@ -0,0 +1,190 @@
+/**
+ * Redirect lookup cache
+ * Keeps recently followed links in an in-process LRU so redirects don't
+ * have to read them from the store on every hit. Entries are keyed by short
+ * code, expire after a TTL and are invalidated whenever a link is edited or
+ * deleted.
+ *
+ * An optional shared cache sits behind the local one, so several instances
+ * can share lookups: any object with `async get(key)` (resolving to the
+ * cached value or undefined), `async set(key, value, ttlMs)` and
+ * `async delete(key)`. Values are plain JSON-serializable link objects.
+ * Point LINK_CACHE_ADAPTER at a module exporting a function that returns
+ * such an adapter (Redis, memcached, ...). Another instance's local entries
+ * can still serve an edited link until their TTL runs out.
+ */
+
+const path = require('path');
+const { logger } = require('./logger');
+const { readNumber } = require('./config');
+
+/**
+ * In-process LRU with per-entry expiry. A Map keeps insertion order, so
+ * re-inserting on every hit leaves the least recently used entry first.
+ */
+function createLruCache({ maxEntries = 10000, ttlMs = 60 * 1000 } = {}) {
+  const entries = new Map();
+  let evictions = 0;
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) {
+        return undefined;
+      }
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+        evictions++;
+      }
+    },
+
+    delete(key) {
+      entries.delete(key);
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    get size() {
+      return entries.size;
+    },
+
+    get evictions() {
+      return evictions;
+    }
+  };
+}
+
+/**
+ * Two-tier link cache: the local LRU, then the shared adapter if any.
+ * Shared cache errors are logged and treated as misses, so a broken cache
+ * server slows redirects down instead of breaking them.
+ *
+ * options.maxEntries  local LRU size (0 disables caching)
+ * options.ttlMs       how long an entry may be served
+ * options.shared      shared cache adapter (optional)
+ */
+function createLinkCache({ maxEntries = 10000, ttlMs = 60 * 1000, shared = null } = {}) {
+  const enabled = maxEntries > 0;
+  const local = createLruCache({ maxEntries, ttlMs });
+  const counters = { hits: 0, sharedHits: 0, misses: 0, invalidations: 0, sharedErrors: 0 };
+
+  const sharedCall = async (operation, ...args) => {
+    try {
+      return await shared[operation](...args);
+    } catch (error) {
+      counters.sharedErrors++;
+      logger.error(`Link cache: shared ${operation} failed`, { err: error });
+      return undefined;
+    }
+  };
+
+  return {
+    enabled,
+
+    async get(code) {
+      if (!enabled) {
+        return undefined;
+      }
+
+      const cached = local.get(code);
+      if (cached !== undefined) {
+        counters.hits++;
+        return cached;
+      }
+
+      if (shared) {
+        const value = await sharedCall('get', code);
+        if (value !== undefined && value !== null) {
+          counters.sharedHits++;
+          local.set(code, value);
+          return value;
+        }
+      }
+
+      counters.misses++;
+      return undefined;
+    },
+
+    async set(code, link) {
+      if (!enabled) {
+        return;
+      }
+      local.set(code, link);
+      if (shared) {
+        await sharedCall('set', code, link, ttlMs);
+      }
+    },
+
+    // Drop these codes (a link's old and new code after an edit)
+    async invalidate(...codes) {
+      if (!enabled) {
+        return;
+      }
+      for (const code of codes.filter(Boolean)) {
+        counters.invalidations++;
+        local.delete(code);
+        if (shared) {
+          await sharedCall('delete', code);
+        }
+      }
+    },
+
+    stats() {
+      const lookups = counters.hits + counters.sharedHits + counters.misses;
+      return {
+        enabled,
+        shared: Boolean(shared),
+        size: local.size,
+        max_entries: maxEntries,
+        ttl_seconds: ttlMs / 1000,
+        hits: counters.hits,
+        shared_hits: counters.sharedHits,
+        misses: counters.misses,
+        hit_ratio: lookups > 0 ? (counters.hits + counters.sharedHits) / lookups : null,
+        evictions: local.evictions,
+        invalidations: counters.invalidations,
+        shared_errors: counters.sharedErrors
+      };
+    }
+  };
+}
+
+/**
+ * Cache configured from LINK_CACHE_SIZE, LINK_CACHE_TTL_SECONDS and
+ * LINK_CACHE_ADAPTER
+ */
+function linkCacheFromEnv() {
+  let shared = null;
+  if (process.env.LINK_CACHE_ADAPTER) {
+    const createAdapter = require(path.resolve(process.env.LINK_CACHE_ADAPTER));
+    if (typeof createAdapter !== 'function') {
+      throw new Error('LINK_CACHE_ADAPTER must be a module exporting a function that returns a cache adapter');
+    }
+    shared = createAdapter();
+  }
+
+  return createLinkCache({
+    maxEntries: Math.floor(readNumber('LINK_CACHE_SIZE', 10000)),
+    ttlMs: readNumber('LINK_CACHE_TTL_SECONDS', 60) * 1000,
+    shared
+  });
+}
+
+module.exports = {
+  createLruCache,
+  createLinkCache,
+  linkCacheFromEnv
+};
@@ -0,0 +1,118 @@
+/**
+ * Tags and campaigns
+ * Links can carry any number of tags and belong to at most one campaign,
+ * both scoped to the link's owner. Tag names are case-insensitive (stored
+ * lowercase) and are created on first use; campaigns are created explicitly
+ * and report the clicks of their links.
+ */
+
+const MAX_TAG_LENGTH = 40;
+const MAX_TAGS_PER_LINK = 20;
+const MAX_CAMPAIGN_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+/**
+ * Normalize a tag name. Returns { name } or { error }.
+ */
+function parseTagName(value) {
+  const name = typeof value === 'string' ? value.trim().toLowerCase() : '';
+
+  if (name.length < 1 || name.length > MAX_TAG_LENGTH) {
+    return { error: `Tag names must be 1-${MAX_TAG_LENGTH} characters` };
+  }
+  if (name.includes(',')) {
+    return { error: 'Tag names can\'t contain commas' };
+  }
+
+  return { name };
+}
+
+/**
+ * Read the tags of a create/update body: an array of names, or one
+ * comma-separated string (as in CSV imports). Returns { tags } (undefined
+ * when absent, [] to remove all) or { error }.
+ */
+function parseTags(value) {
+  if (value === undefined) {
+    return { tags: undefined };
+  }
+  if (value === null || value === '') {
+    return { tags: [] };
+  }
+
+  const names = typeof value === 'string' ? value.split(',').filter(name => name.trim() !== '') : value;
+  if (!Array.isArray(names)) {
+    return { error: 'tags must be an array of names or a comma-separated string' };
+  }
+
+  const tags = [];
+  for (const raw of names) {
+    const parsed = parseTagName(raw);
+    if (parsed.error) {
+      return parsed;
+    }
+    if (!tags.includes(parsed.name)) {
+      tags.push(parsed.name);
+    }
+  }
+
+  if (tags.length > MAX_TAGS_PER_LINK) {
+    return { error: `A link can have at most ${MAX_TAGS_PER_LINK} tags` };
+  }
+
+  return { tags };
+}
+
+/**
+ * Read campaign_id from a create/update body. Returns { value } (undefined
+ * when absent, null to leave the campaign) or { error }.
+ */
+function parseCampaignId(value) {
+  if (value === undefined) {
+    return { value: undefined };
+  }
+  if (value === null || value === '') {
+    return { value: null };
+  }
+
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1 || id > 999999999) {
+    return { error: 'campaign_id must be a campaign id or null' };
+  }
+  return { value: id };
+}
+
+/**
+ * Validate the name and description of a campaign. With partial, fields
+ * may be left out (for updates). Returns { fields } or { error }.
+ */
+function parseCampaignFields(body, { partial = false } = {}) {
+  const fields = {};
+  const { name, description } = body;
+
+  if (name !== undefined || !partial) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (trimmed.length < 1 || trimmed.length > MAX_CAMPAIGN_NAME_LENGTH) {
+      return { error: `name must be 1-${MAX_CAMPAIGN_NAME_LENGTH} characters` };
+    }
+    fields.name = trimmed;
+  }
+
+  if (description === null || (typeof description === 'string' && description.trim() === '')) {
+    fields.description = null;
+  } else if (description !== undefined) {
+    if (typeof description !== 'string' || description.trim().length > MAX_DESCRIPTION_LENGTH) {
+      return { error: `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    fields.description = description.trim();
+  }
+
+  return { fields };
+}
+
+module.exports = {
+  parseTagName,
+  parseTags,
+  parseCampaignId,
+  parseCampaignFields
+};
@@ -0,0 +1,139 @@
+/**
+ * Destination health checks
+ * A background worker visits the destination of every enabled link on an
+ * interval and records what it found: the status code, where redirects
+ * ended up and how long it took. The latest result is kept on the link as
+ * its health status:
+ *
+ *   ok            answered below 400 (after following redirects)
+ *   client_error  answered 4xx, e.g. the page was removed
+ *   server_error  answered 5xx
+ *   unreachable   DNS or connection failure, timeout, too many redirects,
+ *                 or a redirect to an address that may not be checked
+ *   skipped       the destination itself may not be checked (a private
+ *                 address or a name resolving to one, unless
+ *                 HEALTH_CHECK_ALLOW_PRIVATE is set)
+ *
+ * Checks send HEAD and retry with GET when that fails, as some servers
+ * don't implement HEAD. Redirects are followed one hop at a time so each
+ * one goes through the URL policy (see lib/outbound.js).
+ */
+
+const { BlockedUrlError, TooManyRedirectsError, discard, fetchChecked } = require('./outbound');
+const { drain, createWorker } = require('./worker');
+
+// Statuses reported as broken links
+const BROKEN_STATUSES = ['client_error', 'server_error', 'unreachable'];
+
+const MAX_ERROR_LENGTH = 500;
+
+function statusFor(statusCode) {
+  if (statusCode >= 500) return 'server_error';
+  if (statusCode >= 400) return 'client_error';
+  return 'ok';
+}
+
+// fetch reports network failures as "fetch failed" with the reason in cause
+function describeError(error, timeoutMs) {
+  if (error.name === 'TimeoutError') {
+    return `Timed out after ${timeoutMs} ms`;
+  }
+  const cause = error.cause;
+  const message = cause ? (cause.code || cause.message) : error.message;
+  return String(message).slice(0, MAX_ERROR_LENGTH);
+}
+
+/**
+ * Check one destination. Resolves to { status, status_code, final_url,
+ * response_ms, error }; never rejects.
+ *
+ * options.fetch         HTTP client (defaults to one that only connects to
+ *                       public addresses)
+ * options.checkUrl      URL policy each address must pass (see lib/urlPolicy.js)
+ * options.timeoutMs     time allowed for the whole check, redirects included
+ * options.maxRedirects  redirects followed before giving up
+ */
+async function probeDestination(url, options = {}) {
+  const { timeoutMs = 10 * 1000 } = options;
+
+  const started = Date.now();
+  const result = (fields) => ({ status: null, status_code: null, final_url: null, ...fields, response_ms: Date.now() - started, error: fields.error || null });
+
+  try {
+    const { response, url: finalUrl } = await fetchChecked(url, {
+      method: 'HEAD',
+      headers: { 'User-Agent': 'TinyLink-HealthCheck/1.0' }
+    }, { ...options, timeoutMs, retryAsGet: true });
+    await discard(response);
+
+    return result({ status: statusFor(response.status), status_code: response.status, final_url: finalUrl });
+  } catch (error) {
+    if (error instanceof BlockedUrlError && !error.redirected) {
+      return { status: 'skipped', status_code: null, final_url: null, response_ms: null, error: error.message };
+    }
+    if (error instanceof BlockedUrlError || error instanceof TooManyRedirectsError) {
+      return result({ status: 'unreachable', status_code: error.statusCode, final_url: error.url, error: error.message });
+    }
+    return result({ status: 'unreachable', final_url: error.url || url, error: describeError(error, timeoutMs) });
+  }
+}
+
+/**
+ * Create the health check worker for a store.
+ *
+ * options.fetch         HTTP client (see createOutboundClient() in lib/outbound.js)
+ * options.checkUrl      URL policy for destinations and redirects
+ * options.intervalMs    how long a result stays current before rechecking
+ * options.pollMs        how often to look for links due a check
+ * options.batchSize     links checked concurrently
+ * options.timeoutMs     time allowed per check
+ * options.maxRedirects  redirects followed per check
+ * options.historySize   checks kept per link
+ * options.onCheck       called with (link, result) after every check
+ */
+function createHealthChecker(store, options = {}) {
+  const {
+    fetch,
+    checkUrl,
+    intervalMs = 24 * 60 * 60 * 1000,
+    pollMs = 60 * 1000,
+    batchSize = 10,
+    timeoutMs = 10 * 1000,
+    maxRedirects = 5,
+    historySize = 50,
+    onCheck = () => {}
+  } = options;
+
+  async function check(link) {
+    const result = await probeDestination(link.target_url, { fetch, checkUrl, timeoutMs, maxRedirects });
+    await store.linkChecks.record(link, result, { keep: historySize });
+    onCheck(link, result);
+  }
+
+  // Check every link that is due
+  const worker = createWorker(
+    () => drain(limit => store.linkChecks.claimDue(limit, intervalMs), check, batchSize),
+    { pollMs, errorMessage: 'Error checking link destinations' }
+  );
+
+  return {
+    processQueue: worker.run,
+
+    // Check new and changed links on the next run instead of waiting for
+    // the poll interval
+    checkSoon() {
+      if (worker.isStarted()) {
+        worker.kick();
+      }
+    },
+
+    start: worker.start,
+    stop: worker.stop
+  };
+}
+
+module.exports = {
+  BROKEN_STATUSES,
+  probeDestination,
+  createHealthChecker
+};
@@ -0,0 +1,124 @@
+/**
+ * Link passwords
+ * Hashing for password-protected links, plus the signed cookie that lets a
+ * visitor skip the unlock form for a while after entering the password.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { readNumber } = require('./config');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 32;
+const MIN_LENGTH = 4;
+const MAX_LENGTH = 128;
+
+const COOKIE_NAME = 'tl_unlock';
+const COOKIE_MINUTES = readNumber('UNLOCK_COOKIE_MINUTES', 60);
+
+// Without a configured secret, unlock cookies only survive until restart
+const COOKIE_SECRET = process.env.UNLOCK_COOKIE_SECRET || crypto.randomBytes(32).toString('hex');
+
+/**
+ * Check a password supplied by the API. Returns an error message or null.
+ */
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_LENGTH || password.length > MAX_LENGTH) {
+    return `password must be ${MIN_LENGTH}-${MAX_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Hash as "scrypt$<salt>$<hash>" (base64url)
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) {
+    return false;
+  }
+
+  const expectedHash = Buffer.from(expected, 'base64url');
+  if (expectedHash.length !== KEY_LENGTH) {
+    return false;
+  }
+
+  const hash = await scrypt(password, Buffer.from(salt, 'base64url'), KEY_LENGTH);
+  return crypto.timingSafeEqual(hash, expectedHash);
+}
+
+// Signing over the password hash means changing the password invalidates
+// every cookie issued for the old one
+function sign(code, expires, passwordHash) {
+  return crypto.createHmac('sha256', COOKIE_SECRET).update(`${code}:${expires}:${passwordHash}`).digest('base64url');
+}
+
+/**
+ * Cookie remembering that this visitor unlocked the link, as
+ * { name, value, options } for res.cookie(). Scoped to the link's path.
+ */
+function unlockCookie(code, passwordHash, req) {
+  const maxAge = COOKIE_MINUTES * 60 * 1000;
+  const expires = Date.now() + maxAge;
+
+  return {
+    name: COOKIE_NAME,
+    value: `${expires}.${sign(code, expires, passwordHash)}`,
+    options: {
+      maxAge,
+      path: encodeURI(`/${code}`),
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure
+    }
+  };
+}
+
+/**
+ * Resolves to true when the request carries a valid, unexpired unlock cookie
+ * for code. loadPasswordHash() is only called when there is a cookie to
+ * check, so ordinary visitors cost no extra lookup.
+ * Cookies for other links share the name (with a different path) and may be
+ * sent along, so every value is checked.
+ */
+async function isUnlocked(req, code, loadPasswordHash) {
+  const values = (req.get('cookie') || '').split(';')
+    .map(pair => pair.trim().split('='))
+    .filter(([name, value]) => name === COOKIE_NAME && value)
+    .map(([, value]) => value);
+
+  if (values.length === 0) {
+    return false;
+  }
+
+  const passwordHash = await loadPasswordHash();
+  if (!passwordHash) {
+    return false;
+  }
+
+  return values.some(value => {
+    const [expires, signature] = value.split('.');
+    if (!signature || Number(expires) < Date.now()) {
+      return false;
+    }
+
+    const expected = Buffer.from(sign(code, expires, passwordHash));
+    const given = Buffer.from(signature);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+}
+
+module.exports = {
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  unlockCookie,
+  isUnlocked
+};
@@ -0,0 +1,115 @@
+/**
+ * Structured logging
+ * Every log entry is one JSON line with a timestamp, level and message plus
+ * any fields passed along, so log collectors can search and aggregate them:
+ *
+ *   {"time":"2026-10-19T09:30:02.123Z","level":"error","msg":"Error updating link",
+ *    "request_id":"4c1f...","err":{"message":"...","stack":"..."}}
+ *
+ * Each request gets an id (taken from a well-formed X-Request-Id header, or
+ * generated) that is sent back in X-Request-Id and added to everything
+ * logged through req.log. LOG_LEVEL sets the least severe level written
+ * (debug, info, warn or error; default info).
+ */
+
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Errors don't serialize to JSON on their own
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+  return {
+    message: error.message,
+    ...(error.code ? { code: error.code } : {}),
+    stack: error.stack
+  };
+}
+
+/**
+ * options.level   least severe level to write
+ * options.fields  added to every entry (see child())
+ * options.write   where lines go (default: stdout, errors to stderr)
+ */
+function createLogger({ level = 'info', fields = {}, write, counts } = {}) {
+  if (!LEVELS[level]) {
+    throw new Error(`Unknown log level "${level}" (expected ${Object.keys(LEVELS).join(', ')})`);
+  }
+
+  // Shared with child loggers, so counts cover everything logged
+  const levelCounts = counts || Object.fromEntries(Object.keys(LEVELS).map(name => [name, 0]));
+
+  const output = write || ((line, name) => {
+    (name === 'error' ? process.stderr : process.stdout).write(line + '\n');
+  });
+
+  const log = (name, msg, extra = {}) => {
+    levelCounts[name]++;
+    if (LEVELS[name] < LEVELS[level]) {
+      return;
+    }
+
+    const entry = { time: new Date().toISOString(), level: name, msg, ...fields };
+    for (const [key, value] of Object.entries(extra)) {
+      entry[key] = serializeError(value);
+    }
+    output(JSON.stringify(entry), name);
+  };
+
+  return {
+    debug: (msg, extra) => log('debug', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+
+    // A logger adding these fields to every entry
+    child(extra) {
+      return createLogger({ level, fields: { ...fields, ...extra }, write: output, counts: levelCounts });
+    },
+
+    // Entries logged per level so far (including ones below LOG_LEVEL)
+    counts() {
+      return { ...levelCounts };
+    }
+  };
+}
+
+/**
+ * Middleware giving each request an id and a req.log carrying it, and
+ * logging every request once the response is sent
+ */
+function requestLogger(logger) {
+  return (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ request_id: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      req.log.info('request', {
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        duration_ms: Math.round(Number(process.hrtime.bigint() - started) / 1e3) / 1e3,
+        ip: req.ip
+      });
+    });
+
+    next();
+  };
+}
+
+// Shared logger for the app, configured from LOG_LEVEL
+const logger = createLogger({ level: process.env.LOG_LEVEL || 'info' });
+
+module.exports = {
+  logger,
+  createLogger,
+  requestLogger,
+  serializeError
+};
@@ -0,0 +1,188 @@
+/**
+ * Prometheus metrics
+ * A small registry of counters, gauges and histograms rendered in the
+ * Prometheus text exposition format (served at /metrics). Metrics are
+ * updated where things happen; values that already live elsewhere (pool
+ * sizes, cache counters) are read through a collect function at scrape
+ * time instead.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Request latencies, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(names, values, extra = '') {
+  const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) {
+    pairs.push(extra);
+  }
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function createRegistry() {
+  const metrics = new Map();
+
+  // Series are kept per combination of label values, in the order of
+  // labelNames
+  function define(type, name, help, labelNames, extra = {}) {
+    if (!NAME.test(name)) {
+      throw new Error(`Invalid metric name "${name}"`);
+    }
+    if (metrics.has(name)) {
+      throw new Error(`Metric "${name}" is already registered`);
+    }
+
+    const metric = { type, name, help, labelNames, series: new Map(), ...extra };
+    metrics.set(name, metric);
+    return metric;
+  }
+
+  function seriesFor(metric, labels = {}, create) {
+    const values = metric.labelNames.map(label => (labels[label] === undefined ? '' : String(labels[label])));
+    const key = JSON.stringify(values);
+    let series = metric.series.get(key);
+    if (!series) {
+      series = { values, ...create() };
+      metric.series.set(key, series);
+    }
+    return series;
+  }
+
+  // Values from a collect function: a number (no labels) or a list of
+  // { labels, value }
+  function collected(metric) {
+    const result = metric.collect();
+    const list = typeof result === 'number' ? [{ labels: {}, value: result }] : result || [];
+    return list.map(({ labels = {}, value }) => ({
+      values: metric.labelNames.map(label => (labels[label] === undefined ? '' : String(labels[label]))),
+      value
+    }));
+  }
+
+  function render(metric) {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+
+    if (metric.type === 'histogram') {
+      for (const series of metric.series.values()) {
+        metric.buckets.forEach((le, i) => {
+          lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, series.values, `le="${le}"`)} ${series.counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, series.values, 'le="+Inf"')} ${series.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, series.values)} ${series.sum}`);
+        lines.push(`${metric.name}_count${formatLabels(metric.labelNames, series.values)} ${series.count}`);
+      }
+      return lines;
+    }
+
+    const series = metric.collect ? collected(metric) : [...metric.series.values()];
+    for (const { values, value } of series) {
+      lines.push(`${metric.name}${formatLabels(metric.labelNames, values)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+
+  return {
+    contentType: CONTENT_TYPE,
+
+    /**
+     * A counter. With options.collect, its values are read at scrape time
+     * and inc() isn't used.
+     */
+    counter(name, help, { labels = [], collect = null } = {}) {
+      const metric = define('counter', name, help, labels, { collect });
+      return {
+        inc(labelValues, amount = 1) {
+          seriesFor(metric, labelValues, () => ({ value: 0 })).value += amount;
+        }
+      };
+    },
+
+    /**
+     * A gauge, set directly or read at scrape time through options.collect
+     */
+    gauge(name, help, { labels = [], collect = null } = {}) {
+      const metric = define('gauge', name, help, labels, { collect });
+      return {
+        set(labelValues, value) {
+          seriesFor(metric, labelValues, () => ({ value: 0 })).value = value;
+        }
+      };
+    },
+
+    /**
+     * A histogram of observed values (options.buckets are the upper bounds)
+     */
+    histogram(name, help, { labels = [], buckets = DEFAULT_BUCKETS } = {}) {
+      const metric = define('histogram', name, help, labels, { buckets: [...buckets].sort((a, b) => a - b) });
+      return {
+        observe(labelValues, value) {
+          const series = seriesFor(metric, labelValues, () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+          metric.buckets.forEach((le, i) => {
+            if (value <= le) {
+              series.counts[i]++;
+            }
+          });
+          series.sum += value;
+          series.count++;
+        }
+      };
+    },
+
+    // Everything registered, in the text exposition format. A failing
+    // collect function leaves its metric out rather than failing the scrape.
+    metrics() {
+      const lines = [];
+      for (const metric of metrics.values()) {
+        try {
+          lines.push(...render(metric));
+        } catch (error) {
+          lines.push(`# ${metric.name} unavailable: ${error.message.replace(/\n/g, ' ')}`);
+        }
+      }
+      return lines.join('\n') + '\n';
+    }
+  };
+}
+
+/**
+ * Middleware counting requests and timing them by route. Requests that
+ * matched no route (static files, 404s) are labelled "other" so unknown
+ * paths can't create new series.
+ */
+function httpMetrics(registry) {
+  const requests = registry.counter('http_requests_total', 'HTTP requests by method, route and status', {
+    labels: ['method', 'route', 'status']
+  });
+  const duration = registry.histogram('http_request_duration_seconds', 'HTTP request latency by method and route', {
+    labels: ['method', 'route']
+  });
+
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const route = req.route ? req.baseUrl + req.route.path : 'other';
+      requests.inc({ method: req.method, route, status: res.statusCode });
+      duration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - started) / 1e9);
+    });
+    next();
+  };
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  createRegistry,
+  httpMetrics
+};
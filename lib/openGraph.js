@@ -0,0 +1,219 @@
+/**
+ * OpenGraph metadata
+ * Chat apps and social networks show a card for pasted links, built from the
+ * page's OpenGraph tags. A background worker fetches each new destination
+ * once and stores what it found as the link's og ({ title, description,
+ * image }), reading og:* tags with twitter:* tags, <title> and the meta
+ * description as fallbacks. Changing a link's target_url fetches it again.
+ *
+ * Known preview crawlers following a short link get a small HTML page
+ * carrying these tags (see socialPreviewPage() in lib/pages.js) instead of
+ * the redirect. The creator's title, description and image_url take
+ * precedence over the fetched ones.
+ */
+
+const { logger } = require('./logger');
+const { BlockedUrlError, TooManyRedirectsError, discard, fetchChecked } = require('./outbound');
+const { drain, createWorker } = require('./worker');
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_IMAGE_URL_LENGTH = 2000;
+
+// Metadata lives in <head>, so there's no need to read whole pages
+const MAX_BYTES = 256 * 1024;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+// Collapse whitespace and cut to maxLength; empty values become null
+function cleanText(value, maxLength) {
+  if (!value) {
+    return null;
+  }
+  const text = decodeEntities(value).replace(/\s+/g, ' ').trim();
+  return text ? text.slice(0, maxLength) : null;
+}
+
+// Attributes of a single tag, e.g. <meta property="og:title" content="...">
+function readAttributes(tag) {
+  const attributes = {};
+  const pattern = /([a-z:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+  }
+  return attributes;
+}
+
+/**
+ * Read title, description and image from a page's HTML. The image is made
+ * absolute against baseUrl (the page's final URL). Returns null when the
+ * page has none of them.
+ */
+function parseMetadata(html, baseUrl) {
+  const meta = {};
+  for (const tag of html.match(/<meta\s[^>]*>/gi) || []) {
+    const attributes = readAttributes(tag);
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content !== undefined && !(key in meta)) {
+      meta[key] = attributes.content;
+    }
+  }
+
+  const titleTag = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+
+  let image = null;
+  const imageValue = meta['og:image'] || meta['og:image:url'] || meta['twitter:image'];
+  if (imageValue) {
+    try {
+      const url = new URL(decodeEntities(imageValue.trim()), baseUrl);
+      if (['http:', 'https:'].includes(url.protocol) && url.href.length <= MAX_IMAGE_URL_LENGTH) {
+        image = url.href;
+      }
+    } catch (error) {
+      // Not a usable URL; leave the image out
+    }
+  }
+
+  const og = {
+    title: cleanText(meta['og:title'] || meta['twitter:title'] || (titleTag && titleTag[1]), MAX_TITLE_LENGTH),
+    description: cleanText(meta['og:description'] || meta['twitter:description'] || meta.description, MAX_DESCRIPTION_LENGTH),
+    image
+  };
+
+  return og.title || og.description || og.image ? og : null;
+}
+
+// Text of a response up to the end of <head> or maxBytes, whichever is first
+async function readHead(response, maxBytes) {
+  const charset = (response.headers.get('content-type') || '').match(/charset=["']?([\w-]+)/i);
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset ? charset[1] : 'utf-8');
+  } catch (error) {
+    decoder = new TextDecoder('utf-8');
+  }
+
+  const reader = response.body.getReader();
+  let html = '';
+  let bytes = 0;
+  try {
+    while (bytes < maxBytes && !/<\/head>/i.test(html)) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      bytes += value.length;
+      html += decoder.decode(value, { stream: true });
+    }
+  } finally {
+    await reader.cancel();
+  }
+  return html;
+}
+
+/**
+ * Fetch a destination's metadata. Redirects are followed one hop at a time
+ * so each goes through the URL policy (see lib/outbound.js). Resolves to
+ * { title, description, image } or null (nothing found, not HTML, an error
+ * status or a blocked address); rejects when the request fails.
+ *
+ * options.fetch         HTTP client (defaults to one that only connects to
+ *                       public addresses)
+ * options.checkUrl      URL policy each address must pass (see lib/urlPolicy.js)
+ * options.timeoutMs     time allowed, redirects included
+ * options.maxRedirects  redirects followed before giving up
+ */
+async function fetchMetadata(url, options = {}) {
+  let response;
+  let finalUrl;
+  try {
+    ({ response, url: finalUrl } = await fetchChecked(url, {
+      headers: { 'User-Agent': 'TinyLink-Preview/1.0', Accept: 'text/html' }
+    }, { timeoutMs: 5 * 1000, ...options }));
+  } catch (error) {
+    if (error instanceof BlockedUrlError || error instanceof TooManyRedirectsError) {
+      return null;
+    }
+    throw error;
+  }
+
+  if (!response.ok || !/html/i.test(response.headers.get('content-type') || '') || !response.body) {
+    await discard(response);
+    return null;
+  }
+
+  return parseMetadata(await readHead(response, MAX_BYTES), finalUrl);
+}
+
+/**
+ * Create the metadata worker for a store.
+ *
+ * options.fetch      HTTP client (see createOutboundClient() in lib/outbound.js)
+ * options.checkUrl   URL policy for destinations and redirects
+ * options.pollMs     how often to look for links to fetch
+ * options.batchSize  links fetched concurrently
+ * options.timeoutMs  time allowed per link
+ * options.onFetched  called with the link after its metadata was stored
+ */
+function createMetadataFetcher(store, options = {}) {
+  const {
+    fetch,
+    checkUrl,
+    pollMs = 60 * 1000,
+    batchSize = 5,
+    timeoutMs = 5 * 1000,
+    onFetched = () => {}
+  } = options;
+
+  async function fetchFor(link) {
+    let og = null;
+    try {
+      og = await fetchMetadata(link.target_url, { fetch, checkUrl, timeoutMs });
+    } catch (error) {
+      logger.debug('Could not fetch link metadata', { short_code: link.short_code, err: error });
+    }
+
+    if (og && await store.links.setMetadata(link, og)) {
+      await onFetched(link);
+    }
+  }
+
+  // Fetch every link still waiting
+  const worker = createWorker(
+    () => drain(limit => store.links.claimMetadataDue(limit), fetchFor, batchSize),
+    { pollMs, errorMessage: 'Error fetching link metadata' }
+  );
+
+  return {
+    processQueue: worker.run,
+
+    // Fetch new and changed links on the next run instead of waiting for
+    // the poll interval
+    fetchSoon() {
+      if (worker.isStarted()) {
+        worker.kick();
+      }
+    },
+
+    start: worker.start,
+    stop: worker.stop
+  };
+}
+
+module.exports = {
+  MAX_IMAGE_URL_LENGTH,
+  parseMetadata,
+  fetchMetadata,
+  createMetadataFetcher
+};
@@ -0,0 +1,170 @@
+/**
+ * Outbound requests
+ * Webhook deliveries, health checks and metadata fetches call URLs that
+ * users chose, and a redirect could send them anywhere. fetchChecked()
+ * follows redirects one hop at a time so every address goes through the URL
+ * policy (lib/urlPolicy.js), all under a single timeout.
+ *
+ * The policy only sees the URL as written, and a public-looking name can
+ * resolve to an internal address (127.0.0.1.nip.io, or a record changed
+ * after the check). So unless private addresses are allowed, requests go
+ * through an agent whose DNS lookup fails for private, loopback and
+ * link-local results: the socket connects to the address that was checked.
+ */
+
+const dns = require('dns');
+const { Agent, fetch: undiciFetch } = require('undici');
+const { createUrlPolicy, isPrivateHost } = require('./urlPolicy');
+
+const REDIRECT_CODES = [301, 302, 303, 307, 308];
+
+// An address the URL policy refused, either the URL itself or a redirect
+class BlockedUrlError extends Error {
+  constructor(url, check, redirect) {
+    super(redirect ? `Redirects to a blocked address: ${check.error}` : check.error);
+    this.name = 'BlockedUrlError';
+    this.url = url;
+    this.reason = check.reason;
+    this.redirected = Boolean(redirect);
+    // Status of the redirect leading here, null for the URL itself
+    this.statusCode = redirect ? redirect.status : null;
+  }
+}
+
+class TooManyRedirectsError extends Error {
+  constructor(url, maxRedirects, statusCode) {
+    super(maxRedirects === 0 ? `Redirects are not followed (got HTTP ${statusCode})` : `More than ${maxRedirects} redirects`);
+    this.name = 'TooManyRedirectsError';
+    this.url = url;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * dns.lookup, failing when the name resolves to a private or local address.
+ * All addresses are checked, as the connection may use any of them.
+ * (IP literals skip the lookup; the URL policy covers those.)
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (addresses.some(({ address }) => isPrivateHost(address))) {
+      const error = new Error(`"${hostname}" resolves to a private or local address`);
+      error.code = 'EPRIVATEADDRESS';
+      return callback(error);
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+let publicAgent = null;
+
+// fetch that only connects to public addresses
+function publicFetch(url, init) {
+  if (!publicAgent) {
+    publicAgent = new Agent({ connect: { lookup: publicLookup } });
+  }
+  return undiciFetch(url, { ...init, dispatcher: publicAgent });
+}
+
+/**
+ * The URL policy and HTTP client for a kind of outbound request, passed to
+ * the workers as { checkUrl, fetch }. allowPrivate lifts the private address
+ * checks, e.g. to reach a test server on localhost.
+ */
+function createOutboundClient({ allowPrivate = false } = {}) {
+  return {
+    checkUrl: createUrlPolicy({ allowPrivate }),
+    fetch: allowPrivate ? globalThis.fetch : publicFetch
+  };
+}
+
+const defaultClient = createOutboundClient();
+
+async function discard(response) {
+  if (response.body) {
+    await response.body.cancel();
+  }
+}
+
+/**
+ * fetch(url, init), checking the URL and every redirect against the policy
+ * first. Resolves to { response, url } for the first response that isn't a
+ * redirect, with url where it came from; the caller reads or discards its
+ * body. Rejects with BlockedUrlError, TooManyRedirectsError or whatever
+ * fetch rejects with; all of them carry the url of the failed hop.
+ *
+ * options.fetch         HTTP client (defaults to one that only connects to
+ *                       public addresses)
+ * options.checkUrl      URL policy each address must pass (defaults to
+ *                       the standard one, private addresses blocked)
+ * options.timeoutMs     time allowed, redirects included
+ * options.maxRedirects  redirects followed; 0 treats any redirect as an error
+ * options.retryAsGet    ask again with GET when HEAD gets an error status,
+ *                       as some servers don't implement HEAD
+ */
+async function fetchChecked(url, init, options = {}) {
+  const {
+    fetch = defaultClient.fetch,
+    checkUrl = defaultClient.checkUrl,
+    timeoutMs = 10 * 1000,
+    maxRedirects = 5,
+    retryAsGet = false
+  } = options;
+
+  const signal = AbortSignal.timeout(timeoutMs);
+  let current = url;
+  let redirect = null;
+
+  for (let redirects = 0; ; redirects++) {
+    const allowed = checkUrl(current);
+    if (!allowed.ok) {
+      throw new BlockedUrlError(current, allowed, redirect);
+    }
+
+    let response;
+    try {
+      response = await fetch(current, { ...init, redirect: 'manual', signal });
+      if (retryAsGet && init.method === 'HEAD' && response.status >= 400) {
+        await discard(response);
+        response = await fetch(current, { ...init, method: 'GET', redirect: 'manual', signal });
+      }
+    } catch (error) {
+      // Refused by publicLookup(): blocked like any other private address
+      if (error.cause && error.cause.code === 'EPRIVATEADDRESS') {
+        throw new BlockedUrlError(current, { reason: 'private_address', error: error.cause.message }, redirect);
+      }
+      // Let callers report which hop failed
+      error.url = current;
+      throw error;
+    }
+
+    const location = response.headers.get('location');
+    if (!REDIRECT_CODES.includes(response.status) || !location) {
+      return { response, url: current };
+    }
+
+    await discard(response);
+    if (redirects === maxRedirects) {
+      throw new TooManyRedirectsError(current, maxRedirects, response.status);
+    }
+    redirect = response;
+    current = new URL(location, current).href;
+  }
+}
+
+module.exports = {
+  BlockedUrlError,
+  TooManyRedirectsError,
+  publicLookup,
+  createOutboundClient,
+  discard,
+  fetchChecked
+};
@@ -0,0 +1,164 @@
+/**
+ * Server-rendered HTML pages
+ * Small standalone pages served by the redirect handler (expired links,
+ * password prompts, etc.)
+ */
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a page wrapped in the regular TinyLink header and footer
+ */
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} - TinyLink</title>
+  <link rel="stylesheet" href="/styles.css">
+</head>
+<body>
+  <div class="container">
+    <header class="header">
+      <div class="header-content">
+        <h1 class="logo">🔗 TinyLink</h1>
+      </div>
+    </header>
+
+    <main class="main-content">
+      <section class="stats-section">
+        ${body}
+      </section>
+    </main>
+
+    <footer class="footer">
+      <p>&copy; 2025 TinyLink. All rights reserved.</p>
+    </footer>
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Render a simple error/status page with a title and explanation
+ */
+function statusPage({ title, message }) {
+  return layout(title, `
+        <div class="error-state">
+          <h2>${escapeHtml(title)}</h2>
+          <p class="error-message">${escapeHtml(message)}</p>
+          <a href="/" class="btn btn-secondary">Go to TinyLink</a>
+        </div>`);
+}
+
+/**
+ * Password prompt for a protected link. Posts back to the link itself.
+ */
+// search: the visitor's query string, kept so it can be forwarded
+function unlockPage({ code, search = '', error }) {
+  return layout('Password Required', `
+        <div class="unlock-form">
+          <h2>🔒 Password Required</h2>
+          <p>This link is protected. Enter the password to continue.</p>
+          <form method="POST" action="${escapeHtml(encodeURI(`/${code}`) + search)}" class="link-form">
+            <div class="form-group">
+              <label for="password">Password</label>
+              <input type="password" id="password" name="password" required autofocus autocomplete="current-password">
+              ${error ? `<span class="error-message show">${escapeHtml(error)}</span>` : ''}
+            </div>
+            <label class="checkbox-label">
+              <input type="checkbox" name="remember" value="1">
+              Remember on this device for a while
+            </label>
+            <button type="submit" class="btn btn-primary">Continue</button>
+          </form>
+        </div>`);
+}
+
+/**
+ * Where a link goes, shown before following it (see lib/preview.js)
+ *
+ * link         the link (title, description, created_at, rules)
+ * destination  the URL the visitor would be sent to
+ * info         destinationInfo() of it: { domain, warnings }
+ * continueUrl  the short URL that skips the preview
+ */
+function previewPage({ link, destination, info, continueUrl }) {
+  const heading = link.title || 'Where this link goes';
+  const warnings = info.warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('');
+
+  return layout(heading, `
+        <div class="link-preview">
+          <h2>${escapeHtml(heading)}</h2>
+          ${link.description ? `<p class="preview-description">${escapeHtml(link.description)}</p>` : ''}
+          <dl class="preview-details">
+            <dt>Domain</dt>
+            <dd class="preview-domain">${escapeHtml(info.domain)}</dd>
+            <dt>Destination</dt>
+            <dd class="preview-url">${escapeHtml(destination)}</dd>
+            <dt>Created</dt>
+            <dd>${escapeHtml(new Date(link.created_at).toUTCString())}</dd>
+          </dl>
+          ${link.rules ? '<p class="preview-note">Some visitors may be sent elsewhere, depending on their device, location or language.</p>' : ''}
+          ${warnings ? `<ul class="preview-warnings">${warnings}</ul>` : ''}
+          <div class="preview-actions">
+            <a href="${escapeHtml(continueUrl)}" class="btn btn-primary" rel="noreferrer">Continue to ${escapeHtml(info.domain)}</a>
+            <a href="/" class="btn btn-secondary">Go to TinyLink</a>
+          </div>
+        </div>`);
+}
+
+/**
+ * Page served to link preview crawlers: the link's OpenGraph and Twitter
+ * card tags, plus a refresh to the destination in case a person gets it.
+ * title is required; description and image may be null.
+ */
+function socialPreviewPage({ url, destination, title, description, image }) {
+  const tags = [
+    ['property', 'og:type', 'website'],
+    ['property', 'og:site_name', 'TinyLink'],
+    ['property', 'og:url', url],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:image', image],
+    ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', image],
+    ['name', 'description', description]
+  ];
+  const meta = tags
+    .filter(([, , content]) => content)
+    .map(([attribute, name, content]) => `<meta ${attribute}="${name}" content="${escapeHtml(content)}">`)
+    .join('\n  ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  ${meta}
+  <meta http-equiv="refresh" content="0; url=${escapeHtml(destination)}">
+</head>
+<body>
+  <p><a href="${escapeHtml(destination)}">${escapeHtml(title)}</a></p>
+</body>
+</html>`;
+}
+
+module.exports = {
+  escapeHtml,
+  layout,
+  statusPage,
+  unlockPage,
+  previewPage,
+  socialPreviewPage
+};
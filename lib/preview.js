@@ -0,0 +1,134 @@
+/**
+ * Link previews
+ * Visitors can look at where a link goes before following it: append "+"
+ * to the short URL (/abc+) or add ?preview=1. The preview page shows the
+ * destination, its domain, the title and description the creator gave the
+ * link and when it was created, with a button to continue.
+ *
+ * The same title and description, with image_url, are shown on the cards
+ * chat apps and social networks draw for the link (see lib/openGraph.js).
+ *
+ * Links can also be marked interstitial, so every visit shows the preview
+ * first. The Continue button adds ?preview=0 to skip it. The preview
+ * parameter is the app's own and is never forwarded to destinations.
+ */
+
+const { MAX_IMAGE_URL_LENGTH } = require('./openGraph');
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+const PREVIEW_PARAM = 'preview';
+
+/**
+ * Read title, description and image_url from a create/update body. Returns
+ * { changes } mapping each field present to its new value (null clears
+ * it), or { error }.
+ */
+function parseLinkDetails(body) {
+  const changes = {};
+  const limits = { title: MAX_TITLE_LENGTH, description: MAX_DESCRIPTION_LENGTH };
+
+  for (const [field, maxLength] of Object.entries(limits)) {
+    const value = body[field];
+    if (value === undefined) {
+      continue;
+    }
+
+    if (value === null || (typeof value === 'string' && value.trim() === '')) {
+      changes[field] = null;
+    } else if (typeof value !== 'string' || value.trim().length > maxLength) {
+      return { error: `${field} must be a string of at most ${maxLength} characters` };
+    } else {
+      changes[field] = value.trim();
+    }
+  }
+
+  const image = body.image_url;
+  if (image === null || (typeof image === 'string' && image.trim() === '')) {
+    changes.image_url = null;
+  } else if (image !== undefined) {
+    if (!isWebUrl(image) || image.trim().length > MAX_IMAGE_URL_LENGTH) {
+      return { error: `image_url must be an http(s) URL of at most ${MAX_IMAGE_URL_LENGTH} characters` };
+    }
+    changes.image_url = image.trim();
+  }
+
+  return { changes };
+}
+
+function isWebUrl(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  try {
+    return ['http:', 'https:'].includes(new URL(value.trim()).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Split the code of a redirect request from a trailing "+" and read the
+ * preview parameter. preview is true (show the page), false (skip it, even
+ * for interstitial links) or null (the link decides).
+ */
+function previewRequest(code, query) {
+  if (code.endsWith('+')) {
+    return { code: code.slice(0, -1), preview: true };
+  }
+
+  const value = query[PREVIEW_PARAM];
+  if (value === '1' || value === 'true') {
+    return { code, preview: true };
+  }
+  if (value === '0' || value === 'false') {
+    return { code, preview: false };
+  }
+  return { code, preview: null };
+}
+
+/**
+ * A query string (with or without the leading "?") without the preview
+ * parameter, as forwarded to destinations. Keeps the "?" when anything is
+ * left.
+ */
+function withoutPreviewParam(search) {
+  const params = new URLSearchParams(search);
+  if (!params.has(PREVIEW_PARAM)) {
+    return search;
+  }
+  params.delete(PREVIEW_PARAM);
+  const rest = params.toString();
+  return rest ? `?${rest}` : '';
+}
+
+/**
+ * What the preview page says about a destination: its domain and anything
+ * a visitor should know before going there
+ */
+function destinationInfo(targetUrl) {
+  const url = new URL(targetUrl);
+  const warnings = [];
+
+  if (url.protocol !== 'https:') {
+    warnings.push(`This destination doesn't use a secure connection (${url.protocol.slice(0, -1)}).`);
+  }
+  // Internationalized domains can imitate well-known ones
+  if (url.hostname.split('.').some(label => label.startsWith('xn--'))) {
+    warnings.push('The domain uses international characters. Check that it is the site you expect.');
+  }
+  if (url.username || url.password) {
+    warnings.push(`The address contains login details before the domain. The site you will visit is ${url.hostname}.`);
+  }
+
+  return { domain: url.hostname, warnings };
+}
+
+module.exports = {
+  PREVIEW_PARAM,
+  parseLinkDetails,
+  previewRequest,
+  withoutPreviewParam,
+  destinationInfo
+};
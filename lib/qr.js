@@ -0,0 +1,80 @@
+/**
+ * QR code helpers
+ * Renders the full short URL of a link as a PNG or SVG QR code
+ */
+
+const QRCode = require('qrcode');
+
+const FORMATS = ['png', 'svg'];
+const ERROR_LEVELS = ['L', 'M', 'Q', 'H'];
+const QUERY_PARAMS = ['format', 'size', 'ecc', 'margin'];
+
+const DEFAULT_SIZE = 300;
+const MIN_SIZE = 64;
+const MAX_SIZE = 2048;
+const DEFAULT_MARGIN = 4;
+const MAX_MARGIN = 32;
+
+/**
+ * Validate the format/size/ecc/margin query parameters of the QR endpoint.
+ * Returns { error } when the input is unusable.
+ */
+function parseQrOptions(query) {
+  // Repeated parameters (?format=png&format=svg) arrive as arrays
+  const repeated = QUERY_PARAMS.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+  if (repeated) {
+    return { error: `${repeated} must be given once` };
+  }
+
+  const format = (query.format || 'png').toLowerCase();
+  const size = query.size === undefined ? DEFAULT_SIZE : Number(query.size);
+  const level = (query.ecc || 'M').toUpperCase();
+  const margin = query.margin === undefined ? DEFAULT_MARGIN : Number(query.margin);
+
+  if (!FORMATS.includes(format)) {
+    return { error: 'format must be "png" or "svg"' };
+  }
+  if (!Number.isInteger(size) || size < MIN_SIZE || size > MAX_SIZE) {
+    return { error: `size must be an integer between ${MIN_SIZE} and ${MAX_SIZE}` };
+  }
+  if (!ERROR_LEVELS.includes(level)) {
+    return { error: 'ecc must be one of: L, M, Q, H' };
+  }
+  if (!Number.isInteger(margin) || margin < 0 || margin > MAX_MARGIN) {
+    return { error: `margin must be an integer between 0 and ${MAX_MARGIN}` };
+  }
+
+  return { format, size, level, margin };
+}
+
+/**
+ * Full public URL of a short link. Uses BASE_URL when configured so codes
+ * printed on posters point at the production domain, falling back to the
+ * host the request came in on.
+ */
+function shortUrlFor(code, req) {
+  const base = (process.env.BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  return `${base}/${code}`;
+}
+
+/**
+ * Render a QR code for the given text.
+ * Resolves to { contentType, body } ready to send.
+ */
+async function renderQr(text, { format, size, level, margin }) {
+  const options = { errorCorrectionLevel: level, margin, width: size };
+
+  if (format === 'svg') {
+    const svg = await QRCode.toString(text, { ...options, type: 'svg' });
+    return { contentType: 'image/svg+xml', body: svg };
+  }
+
+  const png = await QRCode.toBuffer(text, { ...options, type: 'png' });
+  return { contentType: 'image/png', body: png };
+}
+
+module.exports = {
+  parseQrOptions,
+  shortUrlFor,
+  renderQr
+};
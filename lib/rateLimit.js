@@ -0,0 +1,145 @@
+/**
+ * Rate limiting
+ * Token buckets keyed by client IP and API key, configured from the environment.
+ *
+ * Bucket state lives in a pluggable store: any object with
+ * `async take(key, limit, cost)` resolving to { allowed, remaining, retryAfter }
+ * (retryAfter in seconds). The in-process store below is the default; swap in
+ * a shared one (Redis, etc.) when running more than one instance by pointing
+ * RATE_LIMIT_STORE at a module exporting a function that returns it.
+ */
+
+const path = require('path');
+const { readNumber } = require('./config');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Read a limit from <PREFIX>_PER_MINUTE and <PREFIX>_BURST.
+ * Returns null (unlimited) when the rate is 0.
+ */
+function limitFromEnv(prefix, defaults) {
+  const perMinute = readNumber(`${prefix}_PER_MINUTE`, defaults.perMinute);
+  const burst = readNumber(`${prefix}_BURST`, defaults.burst);
+
+  if (perMinute === 0) {
+    return null;
+  }
+
+  return { capacity: Math.max(burst, 1), refillPerSec: perMinute / 60 };
+}
+
+/**
+ * In-process bucket store. Buckets that have refilled completely are
+ * indistinguishable from new ones, so they are swept to bound memory.
+ */
+function createMemoryBucketStore() {
+  const buckets = new Map();
+
+  const refill = (bucket, now) => {
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * bucket.refillPerSec);
+    bucket.updatedAt = now;
+  };
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      refill(bucket, now);
+      if (bucket.tokens >= bucket.capacity) {
+        buckets.delete(key);
+      }
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    async take(key, { capacity, refillPerSec }, cost = 1) {
+      const now = Date.now();
+      let bucket = buckets.get(key);
+
+      if (!bucket) {
+        bucket = { tokens: capacity, updatedAt: now, capacity, refillPerSec };
+        buckets.set(key, bucket);
+      } else {
+        refill(bucket, now);
+      }
+
+      if (bucket.tokens >= cost) {
+        bucket.tokens -= cost;
+        return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+      }
+
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfter: Math.ceil((cost - bucket.tokens) / refillPerSec)
+      };
+    }
+  };
+}
+
+/**
+ * Bucket store from RATE_LIMIT_STORE, or the in-process one when unset
+ */
+function bucketStoreFromEnv() {
+  if (!process.env.RATE_LIMIT_STORE) {
+    return createMemoryBucketStore();
+  }
+
+  const createStore = require(path.resolve(process.env.RATE_LIMIT_STORE));
+  if (typeof createStore !== 'function') {
+    throw new Error('RATE_LIMIT_STORE must be a module exporting a function that returns a bucket store');
+  }
+  return createStore();
+}
+
+function tooManyRequests(req, res) {
+  res.status(429).json({ error: 'Too many requests, please try again later' });
+}
+
+/**
+ * Express middleware enforcing `limit` on every key returned by `keys(req)`
+ * (e.g. ['ip:1.2.3.4', 'key:7']). The request is rejected with 429 and a
+ * Retry-After header as soon as one of its buckets is empty.
+ *
+ * A failing store lets traffic through rather than taking the site down.
+ */
+function rateLimit({ name, limit, store, keys, onLimit = tooManyRequests }) {
+  return async (req, res, next) => {
+    if (!limit) {
+      return next();
+    }
+
+    let remaining = limit.capacity;
+
+    try {
+      for (const key of keys(req).filter(Boolean)) {
+        const result = await store.take(`${name}:${key}`, limit);
+
+        if (!result.allowed) {
+          res.set('Retry-After', String(Math.max(result.retryAfter, 1)));
+          res.set('RateLimit-Limit', String(limit.capacity));
+          res.set('RateLimit-Remaining', '0');
+          return onLimit(req, res);
+        }
+
+        remaining = Math.min(remaining, result.remaining);
+      }
+    } catch (error) {
+      req.log.error('Rate limit store error', { limit: name, err: error });
+      return next();
+    }
+
+    res.set('RateLimit-Limit', String(limit.capacity));
+    res.set('RateLimit-Remaining', String(remaining));
+    next();
+  };
+}
+
+module.exports = {
+  limitFromEnv,
+  createMemoryBucketStore,
+  bucketStoreFromEnv,
+  rateLimit
+};
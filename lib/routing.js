@@ -0,0 +1,278 @@
+/**
+ * Conditional redirects
+ * A link can carry routing rules that pick a different destination per
+ * visit. Rules are checked in order and the first whose conditions all match
+ * decides; visits matching no rule go to the link's target_url.
+ *
+ *   {
+ *     "label": "ios",
+ *     "when": { "os": ["iOS"], "device": ["mobile", "tablet"],
+ *               "country": ["US"], "language": ["en"],
+ *               "after": "2026-01-01T00:00:00Z", "before": "..." },
+ *     "target_url": "https://apps.apple.com/..."
+ *   }
+ *
+ * Instead of a target_url, a rule can split its traffic by weight across
+ * variants ({ label, target_url, weight }) for A/B tests. Every click records
+ * the label of the rule or variant that sent it, so results can be compared.
+ */
+
+const { DEVICE_TYPES, countryFor, parseUserAgent } = require('./clickDetails');
+
+const MAX_RULES = 20;
+const MAX_VARIANTS = 10;
+const MAX_WEIGHT = 10000;
+const MAX_VALUES = 50;
+const MAX_OS_LENGTH = 50;
+
+const LABEL = /^[A-Za-z0-9_-]{1,50}$/;
+const COUNTRY = /^[A-Z]{2}$/;
+const LANGUAGE = /^[a-z]{2,3}(-[a-z0-9]{1,8})*$/;
+
+const DEVICES = ['desktop', ...DEVICE_TYPES];
+const CONDITIONS = ['device', 'os', 'country', 'language', 'after', 'before'];
+
+// Validate one list-valued condition. Returns the normalized values or an
+// error message string.
+function parseValues(name, values, normalize, isValid) {
+  const list = typeof values === 'string' ? [values] : values;
+  if (!Array.isArray(list) || list.length === 0 || list.length > MAX_VALUES || list.some(v => typeof v !== 'string')) {
+    return `when.${name} must be a list of 1-${MAX_VALUES} strings`;
+  }
+
+  const normalized = [...new Set(list.map(v => normalize(v.trim())))];
+  const invalid = normalized.find(v => !isValid(v));
+  if (invalid !== undefined) {
+    return `Invalid when.${name} value: "${invalid}"`;
+  }
+  return normalized;
+}
+
+function parseConditions(when) {
+  if (when === undefined || when === null) {
+    return { when: {} };
+  }
+  if (typeof when !== 'object' || Array.isArray(when)) {
+    return { error: 'when must be an object of conditions' };
+  }
+
+  const unknown = Object.keys(when).filter(key => !CONDITIONS.includes(key));
+  if (unknown.length > 0) {
+    return { error: `Unknown condition(s): ${unknown.join(', ')} (expected ${CONDITIONS.join(', ')})` };
+  }
+
+  const parsed = {};
+  const lists = {
+    device: [v => v.toLowerCase(), v => DEVICES.includes(v)],
+    os: [v => v, v => v.length > 0 && v.length <= MAX_OS_LENGTH],
+    country: [v => v.toUpperCase(), v => COUNTRY.test(v)],
+    language: [v => v.toLowerCase(), v => LANGUAGE.test(v)]
+  };
+
+  for (const [name, [normalize, isValid]] of Object.entries(lists)) {
+    if (when[name] !== undefined) {
+      const values = parseValues(name, when[name], normalize, isValid);
+      if (typeof values === 'string') {
+        return { error: values };
+      }
+      parsed[name] = values;
+    }
+  }
+
+  for (const name of ['after', 'before']) {
+    if (when[name] !== undefined) {
+      const date = new Date(when[name]);
+      if (when[name] === null || isNaN(date.getTime())) {
+        return { error: `when.${name} must be a valid date` };
+      }
+      parsed[name] = date.toISOString();
+    }
+  }
+
+  if (parsed.after && parsed.before && parsed.after >= parsed.before) {
+    return { error: 'when.after must be before when.before' };
+  }
+
+  return { when: parsed };
+}
+
+/**
+ * Validate a list of rules. checkUrl(url) returns an error message for a
+ * destination that isn't allowed, or null. Returns { rules } (null when the
+ * list is empty) or { error }.
+ */
+function parseRules(value, { checkUrl = () => null } = {}) {
+  if (!Array.isArray(value)) {
+    return { error: 'rules must be an array' };
+  }
+  if (value.length > MAX_RULES) {
+    return { error: `A link can have at most ${MAX_RULES} rules` };
+  }
+
+  const labels = new Set();
+  const useLabel = (label, where) => {
+    if (typeof label !== 'string' || !LABEL.test(label)) {
+      return `${where}: label must be 1-50 letters, digits, "-" or "_"`;
+    }
+    if (labels.has(label)) {
+      return `${where}: label "${label}" is used more than once`;
+    }
+    labels.add(label);
+    return null;
+  };
+  const checkTarget = (url, where) => {
+    const urlError = typeof url === 'string' && url ? checkUrl(url) : 'target_url is required';
+    return urlError ? `${where}: ${urlError}` : null;
+  };
+
+  const rules = [];
+  for (const [i, rule] of value.entries()) {
+    const where = `Rule ${i + 1}`;
+    if (!rule || typeof rule !== 'object') {
+      return { error: `${where} must be an object` };
+    }
+
+    const labelError = useLabel(rule.label, where);
+    if (labelError) {
+      return { error: labelError };
+    }
+
+    const conditions = parseConditions(rule.when);
+    if (conditions.error) {
+      return { error: `${where}: ${conditions.error}` };
+    }
+
+    if ((rule.target_url === undefined) === (rule.variants === undefined)) {
+      return { error: `${where} needs either a target_url or variants` };
+    }
+
+    if (rule.target_url !== undefined) {
+      const targetError = checkTarget(rule.target_url, where);
+      if (targetError) {
+        return { error: targetError };
+      }
+      rules.push({ label: rule.label, when: conditions.when, target_url: rule.target_url });
+      continue;
+    }
+
+    if (!Array.isArray(rule.variants) || rule.variants.length < 2 || rule.variants.length > MAX_VARIANTS) {
+      return { error: `${where}: variants must be a list of 2-${MAX_VARIANTS} destinations` };
+    }
+
+    const variants = [];
+    for (const [j, variant] of rule.variants.entries()) {
+      const variantWhere = `${where}, variant ${j + 1}`;
+      if (!variant || typeof variant !== 'object') {
+        return { error: `${variantWhere} must be an object` };
+      }
+
+      const variantError = useLabel(variant.label, variantWhere) || checkTarget(variant.target_url, variantWhere);
+      if (variantError) {
+        return { error: variantError };
+      }
+
+      const weight = variant.weight === undefined ? 1 : variant.weight;
+      if (!Number.isInteger(weight) || weight < 1 || weight > MAX_WEIGHT) {
+        return { error: `${variantWhere}: weight must be an integer between 1 and ${MAX_WEIGHT}` };
+      }
+      variants.push({ label: variant.label, target_url: variant.target_url, weight });
+    }
+
+    rules.push({ label: rule.label, when: conditions.when, variants });
+  }
+
+  return { rules: rules.length > 0 ? rules : null };
+}
+
+/**
+ * The visitor's most preferred language from an Accept-Language header,
+ * lowercased (e.g. "pt-br"), or null
+ */
+function preferredLanguage(header) {
+  if (!header) {
+    return null;
+  }
+
+  let best = null;
+  let bestQuality = 0;
+  for (const part of header.split(',')) {
+    const [tag, ...params] = part.trim().split(';');
+    const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+    const quality = q ? Number(q.slice(2)) : 1;
+    if (tag && tag !== '*' && quality > bestQuality) {
+      best = tag.toLowerCase();
+      bestQuality = quality;
+    }
+  }
+  return best;
+}
+
+/**
+ * What the rules can match on for this request
+ */
+function visitorFor(req) {
+  const { device_type, os } = parseUserAgent(req.get('user-agent'));
+  return {
+    device: device_type,
+    os: os ? os.toLowerCase() : null,
+    country: countryFor(req.ip),
+    language: preferredLanguage(req.get('accept-language'))
+  };
+}
+
+function matches(when, visitor, now) {
+  if (when.device && !when.device.includes(visitor.device)) return false;
+  if (when.os && !when.os.some(os => os.toLowerCase() === visitor.os)) return false;
+  if (when.country && !when.country.includes(visitor.country)) return false;
+  // "pt" matches pt-BR and pt-PT; "pt-br" only matches pt-BR
+  if (when.language && !when.language.some(lang => visitor.language === lang || (visitor.language || '').startsWith(`${lang}-`))) return false;
+  if (when.after && now < new Date(when.after)) return false;
+  if (when.before && now >= new Date(when.before)) return false;
+  return true;
+}
+
+function pickVariant(variants, random) {
+  const total = variants.reduce((sum, v) => sum + v.weight, 0);
+  let point = random() * total;
+  for (const variant of variants) {
+    point -= variant.weight;
+    if (point < 0) {
+      return variant;
+    }
+  }
+  return variants[variants.length - 1];
+}
+
+/**
+ * Where this request should go. Returns { target_url, variant }, with
+ * variant the label of the rule or variant that applied, or null when the
+ * link's own target_url is used.
+ *
+ * options.now     current time (for scheduled rules)
+ * options.random  source of numbers in [0, 1) for weighted splits
+ */
+function resolveRoute(link, req, { now = new Date(), random = Math.random } = {}) {
+  if (!link.rules || link.rules.length === 0) {
+    return { target_url: link.target_url, variant: null };
+  }
+
+  const visitor = visitorFor(req);
+  const rule = link.rules.find(r => matches(r.when, visitor, now));
+
+  if (!rule) {
+    return { target_url: link.target_url, variant: null };
+  }
+  if (rule.target_url) {
+    return { target_url: rule.target_url, variant: rule.label };
+  }
+
+  const variant = pickVariant(rule.variants, random);
+  return { target_url: variant.target_url, variant: variant.label };
+}
+
+module.exports = {
+  parseRules,
+  preferredLanguage,
+  visitorFor,
+  resolveRoute
+};
@@ -0,0 +1,192 @@
+/**
+ * Destination URL policy
+ * Decides whether a link may point at a URL: scheme allowlist, private and
+ * loopback address blocking, domain block/allow lists and redirect loops.
+ *
+ * Rejections carry a machine-readable `reason` plus a message for people:
+ *
+ *   invalid_url         not a parseable absolute URL
+ *   scheme_not_allowed  e.g. javascript:, data:, file:
+ *   private_address     localhost, private/loopback/link-local IPs, .internal
+ *   domain_blocked      listed in the blocklist file
+ *   domain_not_allowed  an allowlist is configured and the domain isn't on it
+ *   redirect_loop       points back at this shortener
+ */
+
+const fs = require('fs');
+const net = require('net');
+
+const DEFAULT_SCHEMES = ['http', 'https'];
+
+// Hostnames (and their subdomains) that only make sense inside a network
+const PRIVATE_HOSTNAMES = ['localhost', 'local', 'internal', 'localdomain', 'home.arpa'];
+
+// [network, prefix length]
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, incl. cloud metadata endpoints
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, broadcast
+];
+
+/**
+ * Read a domain list file: one domain per line, blank lines and # comments
+ * ignored. A missing path yields an empty list.
+ */
+function loadDomainList(file) {
+  if (!file) {
+    return [];
+  }
+
+  return fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*/, '').trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// True when host is domain itself or one of its subdomains
+function matchesDomain(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+function ipv4ToInt(ip) {
+  return ip.split('.').reduce((n, octet) => (n << 8) + Number(octet), 0) >>> 0;
+}
+
+function isPrivateIPv4(ip) {
+  const value = ipv4ToInt(ip);
+  return PRIVATE_IPV4_RANGES.some(([network, bits]) => {
+    const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+    return (value & mask) >>> 0 === (ipv4ToInt(network) & mask) >>> 0;
+  });
+}
+
+function isPrivateIPv6(ip) {
+  const address = ip.toLowerCase();
+
+  // IPv4-mapped (::ffff:a.b.c.d, or ::ffff:7f00:1 as the URL parser writes it)
+  const mapped = address.match(/^::ffff:(.+)$/);
+  if (mapped) {
+    if (net.isIPv4(mapped[1])) {
+      return isPrivateIPv4(mapped[1]);
+    }
+    const [high, low] = mapped[1].split(':').map(h => parseInt(h, 16));
+    return isPrivateIPv4([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+  }
+
+  return address === '::' ||
+    address === '::1' ||
+    /^f[cd]/.test(address) || // unique local fc00::/7
+    /^fe[89ab]/.test(address) || // link-local fe80::/10
+    /^ff/.test(address); // multicast
+}
+
+function isPrivateHost(hostname) {
+  if (net.isIPv4(hostname)) {
+    return isPrivateIPv4(hostname);
+  }
+
+  // URL keeps IPv6 literals in brackets
+  const bare = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIPv6(bare)) {
+    return isPrivateIPv6(bare);
+  }
+
+  // Single-label names only resolve on a local network
+  return !hostname.includes('.') || PRIVATE_HOSTNAMES.some(name => matchesDomain(hostname, name));
+}
+
+function reject(reason, error) {
+  return { ok: false, reason, error };
+}
+
+/**
+ * Build a policy checker.
+ *
+ * options.schemes       allowed URL schemes, without the colon
+ * options.blocklist     domains that may never be linked to
+ * options.allowlist     when non-empty, the only domains that may be linked to
+ * options.ownHosts      host[:port] values this shortener is served from
+ * options.allowPrivate  skip the private/local address check
+ *
+ * The returned check(url, { host }) also treats `host` (the Host header of
+ * the current request) as one of ours.
+ */
+function createUrlPolicy({ schemes = DEFAULT_SCHEMES, blocklist = [], allowlist = [], ownHosts = [], allowPrivate = false } = {}) {
+  const own = ownHosts.map(h => h.toLowerCase());
+
+  return function check(value, { host } = {}) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return reject('invalid_url', 'Invalid URL');
+    }
+
+    const scheme = url.protocol.slice(0, -1);
+    if (!schemes.includes(scheme)) {
+      return reject('scheme_not_allowed', `Links must use ${schemes.join(' or ')} (got "${scheme}:")`);
+    }
+
+    const hostname = url.hostname.toLowerCase().replace(/\.$/, '');
+    if (!hostname) {
+      return reject('invalid_url', 'Invalid URL');
+    }
+
+    // Compared with the port, so another service on our host isn't a loop
+    const target = url.host.toLowerCase();
+    if (own.includes(target) || (host && target === host.toLowerCase())) {
+      return reject('redirect_loop', 'Links cannot point back to this shortener');
+    }
+
+    if (!allowPrivate && isPrivateHost(hostname)) {
+      return reject('private_address', `"${hostname}" is a private or local address`);
+    }
+
+    if (blocklist.some(domain => matchesDomain(hostname, domain))) {
+      return reject('domain_blocked', `Links to "${hostname}" are not allowed`);
+    }
+
+    if (allowlist.length > 0 && !allowlist.some(domain => matchesDomain(hostname, domain))) {
+      return reject('domain_not_allowed', `"${hostname}" is not on the list of allowed domains`);
+    }
+
+    return { ok: true };
+  };
+}
+
+/**
+ * Policy configured from URL_ALLOWED_SCHEMES, DOMAIN_BLOCKLIST_FILE,
+ * DOMAIN_ALLOWLIST_FILE and BASE_URL
+ */
+function policyFromEnv() {
+  const schemes = process.env.URL_ALLOWED_SCHEMES
+    ? process.env.URL_ALLOWED_SCHEMES.split(',').map(s => s.trim().toLowerCase().replace(/:$/, '')).filter(Boolean)
+    : DEFAULT_SCHEMES;
+
+  const ownHosts = [];
+  if (process.env.BASE_URL) {
+    ownHosts.push(new URL(process.env.BASE_URL).host);
+  }
+
+  return createUrlPolicy({
+    schemes,
+    blocklist: loadDomainList(process.env.DOMAIN_BLOCKLIST_FILE),
+    allowlist: loadDomainList(process.env.DOMAIN_ALLOWLIST_FILE),
+    ownHosts
+  });
+}
+
+module.exports = {
+  createUrlPolicy,
+  policyFromEnv,
+  loadDomainList,
+  isPrivateHost
+};
@@ -0,0 +1,90 @@
+/**
+ * Campaign tracking and query forwarding
+ * Links can carry UTM parameters, stored as structured fields and added to
+ * the destination at redirect time, and can forward the query string the
+ * visitor arrives with. When a parameter is set more than once, later
+ * sources win: the target URL's own query, then the UTM fields, then the
+ * visitor's query.
+ */
+
+const UTM_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+const MAX_UTM_LENGTH = 200;
+
+/**
+ * Read the utm_* fields of a create/update body. Returns { changes } mapping
+ * each field present to its new value (null clears it), or { error }.
+ */
+function parseUtmFields(body) {
+  const changes = {};
+
+  for (const field of UTM_FIELDS) {
+    const value = body[field];
+    if (value === undefined) {
+      continue;
+    }
+
+    if (value === null || (typeof value === 'string' && value.trim() === '')) {
+      changes[field] = null;
+    } else if (typeof value !== 'string' || value.trim().length > MAX_UTM_LENGTH) {
+      return { error: `${field} must be a string of at most ${MAX_UTM_LENGTH} characters` };
+    } else {
+      changes[field] = value.trim();
+    }
+  }
+
+  return { changes };
+}
+
+/**
+ * Apply changes from parseUtmFields to a link's current UTM fields.
+ * Returns null when no field is left.
+ */
+function mergeUtm(current, changes) {
+  const utm = { ...(current || {}) };
+
+  for (const [field, value] of Object.entries(changes)) {
+    if (value === null) {
+      delete utm[field];
+    } else {
+      utm[field] = value;
+    }
+  }
+
+  return Object.keys(utm).length > 0 ? utm : null;
+}
+
+/**
+ * Where a visit should go: the link's target with its UTM fields and, when
+ * the link forwards them, the visitor's query parameters (`search` is the
+ * raw query string of the request, with or without the leading "?").
+ */
+function destinationUrl(link, search = '') {
+  const incoming = link.forward_query ? new URLSearchParams(search) : new URLSearchParams();
+  const hasUtm = link.utm && Object.keys(link.utm).length > 0;
+
+  if (!hasUtm && [...incoming.keys()].length === 0) {
+    return link.target_url;
+  }
+
+  const url = new URL(link.target_url);
+
+  if (hasUtm) {
+    UTM_FIELDS.filter(field => link.utm[field]).forEach(field => url.searchParams.set(field, link.utm[field]));
+  }
+
+  // Repeated parameters (?tag=a&tag=b) are forwarded as they came
+  for (const key of new Set(incoming.keys())) {
+    url.searchParams.delete(key);
+    incoming.getAll(key).forEach(value => url.searchParams.append(key, value));
+  }
+
+  return url.toString();
+}
+
+module.exports = {
+  UTM_FIELDS,
+  parseUtmFields,
+  mergeUtm,
+  destinationUrl
+};
@@ -0,0 +1,223 @@
+/**
+ * Outgoing webhooks
+ * Link events are queued as deliveries in the store and sent by a background
+ * worker, so request handlers never wait on subscribers.
+ *
+ * Every delivery is a JSON POST signed with the webhook's secret:
+ *
+ *   X-TinyLink-Event:      link.clicked
+ *   X-TinyLink-Delivery:   42
+ *   X-TinyLink-Timestamp:  1700000000 (unix seconds)
+ *   X-TinyLink-Signature:  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *
+ * Network errors and non-2xx responses are retried with exponential backoff
+ * (base delay, doubling per attempt) until maxAttempts, then marked failed.
+ *
+ * URLs are checked against the URL policy when registered and again on
+ * every delivery, this time with the address the hostname resolves to (see
+ * lib/outbound.js). A URL refused at delivery fails without retrying.
+ *
+ * Subscriber lookups are cached for a short while, since every click emits
+ * an event; call subscribersChanged() after editing webhooks. Other
+ * instances pick up the change once their entries expire.
+ */
+
+const crypto = require('crypto');
+const { BlockedUrlError, fetchChecked, discard } = require('./outbound');
+const { drain, createWorker } = require('./worker');
+const { createLruCache } = require('./linkCache');
+
+const EVENTS = ['link.created', 'link.deleted', 'link.clicked', 'link.expired'];
+
+const MIN_SECRET_LENGTH = 16;
+const MAX_SECRET_LENGTH = 100;
+const MAX_ERROR_LENGTH = 500;
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Validate a list of event names. Returns { events } or { error }.
+ */
+function parseEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return { error: `events must be a non-empty array of: ${EVENTS.join(', ')}` };
+  }
+
+  const unknown = events.filter(e => !EVENTS.includes(e));
+  if (unknown.length > 0) {
+    return { error: `Unknown event(s): ${unknown.join(', ')}` };
+  }
+
+  return { events: [...new Set(events)] };
+}
+
+function validateSecret(secret) {
+  if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH || secret.length > MAX_SECRET_LENGTH) {
+    return `secret must be ${MIN_SECRET_LENGTH}-${MAX_SECRET_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Create the queue worker for a store.
+ *
+ * options.fetch           HTTP client (see createOutboundClient() in lib/outbound.js)
+ * options.checkUrl        URL policy webhook URLs must pass
+ * options.pollMs          how often to look for due deliveries
+ * options.batchSize       deliveries sent concurrently
+ * options.maxAttempts     attempts before a delivery is marked failed
+ * options.retryBaseMs     delay before the first retry
+ * options.timeoutMs       per-request timeout
+ * options.expirySweepMs   how often to look for newly expired links
+ * options.subscriberTtlMs how long subscriber lookups are cached (0: not cached)
+ */
+function createWebhookDispatcher(store, options = {}) {
+  const {
+    fetch,
+    checkUrl,
+    pollMs = 5000,
+    batchSize = 20,
+    maxAttempts = 6,
+    retryBaseMs = 30 * 1000,
+    timeoutMs = 10 * 1000,
+    expirySweepMs = 60 * 1000,
+    subscriberTtlMs = 30 * 1000
+  } = options;
+
+  // Claimed deliveries stay invisible to other workers for this long
+  const leaseMs = timeoutMs * 3;
+
+  let lastExpirySweep = 0;
+
+  // "<event> <owner id>" -> subscribed webhooks
+  const subscriberCache = createLruCache({ maxEntries: subscriberTtlMs > 0 ? 10000 : 0, ttlMs: subscriberTtlMs });
+
+  async function subscribers(event, ownerId) {
+    const key = `${event} ${ownerId}`;
+    let found = subscriberCache.get(key);
+    if (!found) {
+      found = await store.webhooks.subscribers(event, ownerId);
+      subscriberCache.set(key, found);
+    }
+    return found;
+  }
+
+  /**
+   * Queue an event for every webhook subscribed to it
+   */
+  async function emit(event, link, data = {}) {
+    const webhooks = await subscribers(event, link.owner_id);
+    if (webhooks.length === 0) {
+      return;
+    }
+
+    const payload = JSON.stringify({
+      event,
+      created_at: new Date().toISOString(),
+      data: { link, ...data }
+    });
+
+    await Promise.all(webhooks.map(webhook =>
+      store.deliveries.enqueue({ webhook_id: webhook.id, event, payload })
+    ));
+
+    worker.kick();
+  }
+
+  async function send(delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      // A redirect could point anywhere, so none are followed
+      const { response } = await fetchChecked(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'TinyLink-Webhooks/1.0',
+          'X-TinyLink-Event': delivery.event,
+          'X-TinyLink-Delivery': String(delivery.id),
+          'X-TinyLink-Timestamp': String(timestamp),
+          'X-TinyLink-Signature': `sha256=${signPayload(delivery.secret, timestamp, delivery.payload)}`
+        },
+        body: delivery.payload
+      }, { fetch, checkUrl, timeoutMs, maxRedirects: 0 });
+
+      await discard(response);
+
+      if (response.ok) {
+        await store.deliveries.markDelivered(delivery.id, { status_code: response.status });
+      } else {
+        await fail(delivery, response.status, `HTTP ${response.status}`);
+      }
+    } catch (error) {
+      await fail(delivery, error.statusCode ?? null, error.message, { retry: !(error instanceof BlockedUrlError) });
+    }
+  }
+
+  async function fail(delivery, statusCode, message, { retry = true } = {}) {
+    const retryAt = retry && delivery.attempts < maxAttempts
+      ? new Date(Date.now() + retryBaseMs * 2 ** (delivery.attempts - 1))
+      : null;
+
+    await store.deliveries.markFailed(delivery.id, {
+      status_code: statusCode,
+      error: String(message).slice(0, MAX_ERROR_LENGTH),
+      retryAt
+    });
+  }
+
+  // Links expire silently (by date or click limit), so look for them
+  async function announceExpiredLinks() {
+    if (Date.now() - lastExpirySweep < expirySweepMs) {
+      return;
+    }
+    lastExpirySweep = Date.now();
+
+    const expired = await store.links.claimNewlyExpired();
+    for (const link of expired) {
+      await emit('link.expired', link);
+    }
+  }
+
+  // Send everything that is due
+  const worker = createWorker(async () => {
+    await announceExpiredLinks();
+    await drain(limit => store.deliveries.claimDue(limit, leaseMs), send, batchSize);
+  }, { pollMs, errorMessage: 'Error processing webhook queue' });
+
+  return {
+    emit,
+    processQueue: worker.run,
+
+    // Look for expired links on the next run instead of waiting for the
+    // sweep interval (e.g. right after a click used up a link's limit)
+    sweepExpiredSoon() {
+      lastExpirySweep = 0;
+      worker.kick();
+    },
+
+    // Forget cached subscriber lookups after a webhook was created, edited
+    // or deleted
+    subscribersChanged() {
+      subscriberCache.clear();
+    },
+
+    start: worker.start,
+    stop: worker.stop
+  };
+}
+
+module.exports = {
+  EVENTS,
+  generateSecret,
+  signPayload,
+  parseEvents,
+  validateSecret,
+  createWebhookDispatcher
+};
@@ -0,0 +1,86 @@
+/**
+ * Background workers
+ * Webhook deliveries, health checks and metadata fetches each drain a queue
+ * kept in the store: on a poll interval, and right away when something is
+ * queued (kick). Runs never overlap; a kick during a run schedules one more
+ * run after it, so nothing queued meanwhile waits for the next poll.
+ */
+
+const { logger } = require('./logger');
+
+/**
+ * Claim and handle batches until a short one shows the queue is empty.
+ * claim(batchSize) resolves to the items; they are handled concurrently.
+ */
+async function drain(claim, handle, batchSize) {
+  let batch;
+  do {
+    batch = await claim(batchSize);
+    await Promise.all(batch.map(handle));
+  } while (batch.length === batchSize);
+}
+
+/**
+ * Create a worker calling run() on each pass.
+ *
+ * options.pollMs        how often to run once started
+ * options.errorMessage  logged when a run fails
+ */
+function createWorker(run, { pollMs, errorMessage }) {
+  let timer = null;
+  let running = false;
+  let rerun = false;
+
+  async function runNow() {
+    if (running) {
+      rerun = true;
+      return;
+    }
+
+    running = true;
+    try {
+      do {
+        rerun = false;
+        await run();
+      } while (rerun);
+    } finally {
+      running = false;
+    }
+  }
+
+  function kick() {
+    setImmediate(() => {
+      runNow().catch(err => {
+        logger.error(errorMessage, { err });
+      });
+    });
+  }
+
+  return {
+    run: runNow,
+    kick,
+
+    isStarted() {
+      return timer !== null;
+    },
+
+    start() {
+      if (timer) {
+        return;
+      }
+      timer = setInterval(kick, pollMs);
+      timer.unref();
+      kick();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  drain,
+  createWorker
+};
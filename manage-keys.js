@@ -0,0 +1,75 @@
+/**
+ * API key management
+ *
+ * Usage:
+ *   node manage-keys.js issue <user> [--admin] [--label <text>]
+ *   node manage-keys.js list [user]
+ *   node manage-keys.js revoke <key-id>
+ */
+
+const { store } = require('./db/store');
+const initDb = require('./db/init');
+const { issueApiKey, listApiKeys, revokeApiKey } = require('./lib/auth');
+
+function printUsage() {
+  console.log('Usage:');
+  console.log('  node manage-keys.js issue <user> [--admin] [--label <text>]');
+  console.log('  node manage-keys.js list [user]');
+  console.log('  node manage-keys.js revoke <key-id>');
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  try {
+    if (store && store.backend === 'memory') {
+      throw new Error('Keys cannot be managed with STORAGE_BACKEND=memory; the server prints an admin key at startup instead');
+    }
+
+    await initDb();
+
+    if (command === 'issue' && args[0]) {
+      const labelIndex = args.indexOf('--label');
+      const { key, user, apiKey } = await issueApiKey(store, args[0], {
+        admin: args.includes('--admin'),
+        label: labelIndex !== -1 ? args[labelIndex + 1] : null
+      });
+
+      console.log(`\n✓ Issued key #${apiKey.id} for ${user.name}${user.is_admin ? ' (admin)' : ''}`);
+      console.log(`\n  ${key}\n`);
+      console.log('Store this key now - it cannot be shown again.');
+    } else if (command === 'list') {
+      const keys = await listApiKeys(store, args[0]);
+
+      if (keys.length === 0) {
+        console.log('No API keys found');
+      }
+      keys.forEach(k => {
+        const status = k.revoked_at ? 'revoked' : 'active';
+        const lastUsed = k.last_used_at ? new Date(k.last_used_at).toISOString() : 'never';
+        console.log(`  #${k.id}  ${k.user_name}${k.is_admin ? ' (admin)' : ''}  tl_${k.key_prefix}_…  ${status}  last used: ${lastUsed}${k.label ? `  [${k.label}]` : ''}`);
+      });
+    } else if (command === 'revoke' && /^\d+$/.test(args[0] || '')) {
+      const revoked = await revokeApiKey(store, Number(args[0]));
+
+      if (!revoked) {
+        console.error(`❌ No active key with id ${args[0]}`);
+        await store.close();
+        process.exit(1);
+      }
+      console.log(`✓ Revoked key #${revoked.id} (tl_${revoked.key_prefix}_…)`);
+    } else {
+      printUsage();
+      await store.close();
+      process.exit(1);
+    }
+
+    await store.close();
+    process.exit(0);
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
+
+main();
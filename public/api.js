@@ -0,0 +1,48 @@
+/**
+ * TinyLink - API Client
+ * Shared by the dashboard and stats pages: stores the user's API key and
+ * attaches it to every API request
+ */
+
+const API_KEY_STORAGE = 'tinylinkApiKey';
+
+function getApiKey() {
+  return localStorage.getItem(API_KEY_STORAGE);
+}
+
+function setApiKey(key) {
+  localStorage.setItem(API_KEY_STORAGE, key);
+}
+
+function clearApiKey() {
+  localStorage.removeItem(API_KEY_STORAGE);
+}
+
+/**
+ * fetch() wrapper that adds the Authorization header
+ */
+function apiFetch(url, options = {}) {
+  const headers = { ...(options.headers || {}) };
+  const key = getApiKey();
+  
+  if (key) {
+    headers['Authorization'] = `Bearer ${key}`;
+  }
+  
+  return fetch(url, { ...options, headers });
+}
+
+/**
+ * Save a fetched response body as a file. API responses need the
+ * Authorization header, so they can't be plain download links.
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
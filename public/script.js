@@ -4,6 +4,23 @@
  */
 
 let allLinks = [];
+let currentPage = 1;
+let searchTimer = null;
+let campaigns = [];
+let activeTag = '';
+let activeCampaign = '';
+
+const PAGE_SIZE = 25;
+const SEARCH_DELAY_MS = 300;
+
+// UTM builder: API field and the input holding it
+const UTM_INPUTS = [
+  ['utm_source', 'utmSource'],
+  ['utm_medium', 'utmMedium'],
+  ['utm_campaign', 'utmCampaign'],
+  ['utm_term', 'utmTerm'],
+  ['utm_content', 'utmContent']
+];
 
 // ============================================
 // DOM ELEMENTS
@@ -12,6 +29,25 @@ let allLinks = [];
 const linkForm = document.getElementById('linkForm');
 const targetUrlInput = document.getElementById('targetUrl');
 const shortCodeInput = document.getElementById('shortCode');
+const expiresAtInput = document.getElementById('expiresAt');
+const maxClicksInput = document.getElementById('maxClicks');
+const passwordInput = document.getElementById('linkPassword');
+const forwardQueryInput = document.getElementById('forwardQuery');
+const titleInput = document.getElementById('linkTitle');
+const descriptionInput = document.getElementById('linkDescription');
+const interstitialInput = document.getElementById('linkInterstitial');
+const imageInput = document.getElementById('linkImage');
+const tagsInput = document.getElementById('linkTags');
+const campaignSelect = document.getElementById('linkCampaign');
+const campaignList = document.getElementById('campaignList');
+const tagList = document.getElementById('tagList');
+const newCampaignBtn = document.getElementById('newCampaignBtn');
+const statusFilter = document.getElementById('statusFilter');
+const sortSelect = document.getElementById('sortSelect');
+const pagination = document.getElementById('pagination');
+const prevPage = document.getElementById('prevPage');
+const nextPage = document.getElementById('nextPage');
+const pageInfo = document.getElementById('pageInfo');
 const submitBtn = document.getElementById('submitBtn');
 const searchInput = document.getElementById('searchInput');
 const linksTable = document.getElementById('linksTable');
@@ -19,15 +55,30 @@ const linksBody = document.getElementById('linksBody');
 const emptyState = document.getElementById('emptyState');
 const urlError = document.getElementById('urlError');
 const codeError = document.getElementById('codeError');
+const expiresError = document.getElementById('expiresError');
+const passwordError = document.getElementById('passwordError');
 const successMsg = document.getElementById('successMsg');
 const copyNotification = document.getElementById('copyNotification');
+const apiKeyForm = document.getElementById('apiKeyForm');
+const apiKeyInput = document.getElementById('apiKeyInput');
+const apiKeyError = document.getElementById('apiKeyError');
+const authStatus = document.getElementById('authStatus');
+const authUser = document.getElementById('authUser');
+const signOutBtn = document.getElementById('signOutBtn');
+const importBtn = document.getElementById('importBtn');
+const importFile = document.getElementById('importFile');
+const importReport = document.getElementById('importReport');
+const qrModal = document.getElementById('qrModal');
+const qrImage = document.getElementById('qrImage');
+const qrTitle = document.getElementById('qrTitle');
+const qrError = document.getElementById('qrError');
 
 // ============================================
 // INITIALIZATION
 // ============================================
 
 document.addEventListener('DOMContentLoaded', () => {
-  loadLinks();
+  checkAuth();
   setupEventListeners();
 });
 
@@ -36,8 +87,99 @@ document.addEventListener('DOMContentLoaded', () => {
 // ============================================
 
 function setupEventListeners() {
+  apiKeyForm.addEventListener('submit', handleSignIn);
+  signOutBtn.addEventListener('click', handleSignOut);
   linkForm.addEventListener('submit', handleCreateLink);
   searchInput.addEventListener('input', handleSearch);
+  statusFilter.addEventListener('change', () => goToPage(1));
+  sortSelect.addEventListener('change', () => goToPage(1));
+  prevPage.addEventListener('click', () => goToPage(currentPage - 1));
+  nextPage.addEventListener('click', () => goToPage(currentPage + 1));
+  importBtn.addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', handleImport);
+  newCampaignBtn.addEventListener('click', createCampaign);
+  document.getElementById('qrClose').addEventListener('click', closeQr);
+  document.getElementById('qrDownloadPng').addEventListener('click', () => downloadQr('png'));
+  document.getElementById('qrDownloadSvg').addEventListener('click', () => downloadQr('svg'));
+  qrModal.addEventListener('click', (e) => {
+    if (e.target === qrModal) {
+      closeQr();
+    }
+  });
+}
+
+// ============================================
+// AUTHENTICATION
+// ============================================
+
+async function checkAuth() {
+  if (!getApiKey()) {
+    showSignedOut();
+    return;
+  }
+  
+  try {
+    const response = await apiFetch('/api/me');
+    
+    if (!response.ok) {
+      clearApiKey();
+      showSignedOut();
+      if (response.status === 401) {
+        showError(apiKeyError, 'Your API key is invalid or has been revoked');
+      }
+      return;
+    }
+    
+    const user = await response.json();
+    showSignedIn(user);
+    await loadGroups();
+    await loadLinks();
+    
+  } catch (error) {
+    console.error('Error checking API key:', error);
+    showSignedOut();
+  }
+}
+
+async function handleSignIn(e) {
+  e.preventDefault();
+  apiKeyError.classList.remove('show');
+  
+  const key = apiKeyInput.value.trim();
+  if (!key) {
+    showError(apiKeyError, 'Please paste your API key');
+    return;
+  }
+  
+  setApiKey(key);
+  apiKeyForm.reset();
+  await checkAuth();
+}
+
+function handleSignOut() {
+  clearApiKey();
+  allLinks = [];
+  campaigns = [];
+  activeTag = '';
+  activeCampaign = '';
+  campaignList.innerHTML = '';
+  tagList.innerHTML = '';
+  showSignedOut();
+}
+
+function showSignedIn(user) {
+  authUser.textContent = user.is_admin ? `${user.name} (admin)` : user.name;
+  apiKeyForm.style.display = 'none';
+  authStatus.style.display = 'flex';
+}
+
+function showSignedOut() {
+  apiKeyForm.style.display = 'flex';
+  authStatus.style.display = 'none';
+  linksTable.style.display = 'none';
+  pagination.style.display = 'none';
+  emptyState.style.display = 'block';
+  emptyState.textContent = 'Sign in with your API key to see and create links.';
 }
 
 // ============================================
@@ -52,6 +194,20 @@ async function handleCreateLink(e) {
   
   const targetUrl = targetUrlInput.value.trim();
   const shortCode = shortCodeInput.value.trim();
+  const expiresAt = expiresAtInput.value;
+  const maxClicks = maxClicksInput.value;
+  const password = passwordInput.value;
+  const tags = tagsInput.value.trim();
+  const campaignId = campaignSelect.value;
+  
+  // UTM builder fields, sent only when filled in
+  const utm = {};
+  UTM_INPUTS.forEach(([field, id]) => {
+    const value = document.getElementById(id).value.trim();
+    if (value) {
+      utm[field] = value;
+    }
+  });
   
   // Validate URL
   if (!targetUrl) {
@@ -65,8 +221,20 @@ async function handleCreateLink(e) {
   }
   
   // Validate custom code if provided
-  if (shortCode && !isValidCode(shortCode)) {
-    showError(codeError, 'Code must be 6-8 alphanumeric characters (A-Z, a-z, 0-9)');
+  const slugError = shortCode ? Slug.validateSlug(shortCode) : null;
+  if (slugError) {
+    showError(codeError, slugError);
+    return;
+  }
+  
+  // Validate expiration if provided
+  if (expiresAt && new Date(expiresAt) <= new Date()) {
+    showError(expiresError, 'Expiration must be in the future');
+    return;
+  }
+  
+  if (password && password.length < 4) {
+    showError(passwordError, 'Password must be at least 4 characters');
     return;
   }
   
@@ -75,21 +243,34 @@ async function handleCreateLink(e) {
   submitBtn.textContent = 'Creating...';
   
   try {
-    const response = await fetch('/api/links', {
+    const response = await apiFetch('/api/links', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
         target_url: targetUrl,
-        short_code: shortCode || undefined
+        short_code: shortCode || undefined,
+        expires_at: expiresAt ? new Date(expiresAt).toISOString() : undefined,
+        max_clicks: maxClicks ? Number(maxClicks) : undefined,
+        password: password || undefined,
+        ...utm,
+        forward_query: forwardQueryInput.checked || undefined,
+        tags: tags || undefined,
+        campaign_id: campaignId ? Number(campaignId) : undefined,
+        title: titleInput.value.trim() || undefined,
+        description: descriptionInput.value.trim() || undefined,
+        interstitial: interstitialInput.checked || undefined,
+        image_url: imageInput.value.trim() || undefined
       })
     });
     
     const data = await response.json();
     
     if (!response.ok) {
-      if (response.status === 409) {
+      if (response.status === 401) {
+        showError(urlError, 'Please sign in with your API key first');
+      } else if (response.status === 409) {
         showError(codeError, `Short code "${shortCode}" already exists. Please choose another one.`);
       } else if (response.status === 400) {
         showError(urlError, data.error || 'Invalid input. Please check your entries.');
@@ -104,6 +285,7 @@ async function handleCreateLink(e) {
     const countMsg = data.creation_count ? ` (Created ${data.creation_count} times)` : '';
     showSuccess(isExisting + data.short_code + countMsg);
     linkForm.reset();
+    await loadGroups();
     await loadLinks();
     
   } catch (error) {
@@ -121,11 +303,46 @@ async function handleCreateLink(e) {
 
 async function loadLinks() {
   try {
-    const response = await fetch('/api/links');
+    const [sort, order] = sortSelect.value.split(':');
+    const params = new URLSearchParams({
+      page: currentPage,
+      limit: PAGE_SIZE,
+      sort,
+      order
+    });
+    
+    if (statusFilter.value) {
+      params.set('status', statusFilter.value);
+    }
+    if (searchInput.value.trim()) {
+      params.set('q', searchInput.value.trim());
+    }
+    if (activeTag) {
+      params.set('tag', activeTag);
+    }
+    if (activeCampaign) {
+      params.set('campaign', activeCampaign);
+    }
+    
+    const response = await apiFetch(`/api/links?${params}`);
+    
+    if (response.status === 401) {
+      showSignedOut();
+      return;
+    }
+    
     const data = await response.json();
     
-    allLinks = data || [];
+    // Deleting the last link on the final page leaves us past the end
+    if (data.links.length === 0 && data.page > 1 && data.pages > 0) {
+      currentPage = data.pages;
+      await loadLinks();
+      return;
+    }
+    
+    allLinks = data.links || [];
     renderLinks(allLinks);
+    renderPagination(data);
     
   } catch (error) {
     console.error('Error loading links:', error);
@@ -137,6 +354,9 @@ function renderLinks(links) {
   if (links.length === 0) {
     linksTable.style.display = 'none';
     emptyState.style.display = 'block';
+    emptyState.textContent = searchInput.value.trim() || statusFilter.value || activeTag || activeCampaign
+      ? 'No links match your search.'
+      : 'No links yet. Create your first short link above!';
     return;
   }
   
@@ -152,53 +372,417 @@ function renderLinks(links) {
 
 function createLinkRow(link) {
   const row = document.createElement('tr');
+  row.dataset.code = link.short_code;
+  if (!link.is_enabled) {
+    row.classList.add('row-disabled');
+  }
   
   // Use relative URL for TinyURL - works everywhere
   const shortUrl = `/${link.short_code}`;
+  const code = escapeHtml(link.short_code);
   const creationCount = link.creation_count || 1;
   const totalClicks = link.total_clicks || 0;
+  const botClicks = link.bot_clicks || 0;
+  const limitsMetric = (link.expires_at || link.max_clicks)
+    ? `
+        <div class="metric">
+          <span class="metric-label">Limit:</span>
+          ${describeLimits(link)}
+        </div>`
+    : '';
+  const campaign = campaigns.find(c => c.id === link.campaign_id);
+  const tags = link.tags || [];
+  const pageTitle = link.title || (link.og && link.og.title);
+  const groups = campaign || tags.length > 0
+    ? `
+      <div class="link-groups">
+        ${campaign ? `<span class="metric-badge badge-campaign" title="Campaign">📁 ${escapeHtml(campaign.name)}</span>` : ''}
+        ${tags.map(tag => `<button type="button" class="tag-chip" data-tag="${escapeHtml(tag)}" title="Show links tagged ${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`).join('')}
+      </div>`
+    : '';
   
   row.innerHTML = `
     <td>
-      <span class="link-code">${link.short_code}</span>
+      <span class="link-code">${code}</span>
+      ${link.is_enabled ? '' : '<span class="metric-badge badge-disabled">Disabled</span>'}
+      ${link.has_password ? '<span class="metric-badge badge-protected" title="Visitors need a password">🔒 Protected</span>' : ''}
+      ${link.interstitial ? '<span class="metric-badge badge-interstitial" title="Visitors see the preview page first">👁 Preview first</span>' : ''}${groups}
     </td>
     <td>
-      <a href="${shortUrl}" target="_blank" class="tinyurl-link" title="Click to visit">
-        ${shortUrl}
+      <a href="${escapeHtml(shortUrl)}" target="_blank" class="tinyurl-link" title="Click to visit">
+        ${escapeHtml(shortUrl)}
       </a>
     </td>
     <td>
-      <span class="link-url" title="${link.target_url}">
-        ${truncateUrl(link.target_url)}
+      <span class="link-url" title="${escapeHtml(link.target_url)}">
+        ${escapeHtml(truncateUrl(link.target_url))}
       </span>
+      ${pageTitle ? `<span class="link-title" title="${link.title ? 'Title' : 'Title of the destination page'}">${escapeHtml(pageTitle)}</span>` : ''}
+      ${describeHealth(link)}
     </td>
     <td>
       <div class="clicks-created">
-        <div class="metric">
+        <div class="metric" title="${botClicks} bot hit${botClicks === 1 ? '' : 's'} (link previews, crawlers) not counted">
           <span class="metric-label">Clicks:</span>
           <span class="metric-value">${totalClicks}</span>
         </div>
         <div class="metric">
           <span class="metric-label">Created:</span>
           <span class="metric-badge">${creationCount}</span>
-        </div>
+        </div>${limitsMetric}
       </div>
     </td>
     <td>
       <div class="action-buttons">
-        <button type="button" class="btn btn-small btn-copy" onclick="copyLink('${shortUrl}')" title="Copy short link to clipboard">
+        <button type="button" class="btn btn-small btn-copy" data-action="copy" title="Copy short link to clipboard">
           📋 Copy
         </button>
-        <button type="button" class="btn btn-small btn-delete" onclick="deleteLink('${link.short_code}')" title="Delete this link">
+        <button type="button" class="btn btn-small btn-copy" data-action="edit" title="Edit this link">
+          ✏️ Edit
+        </button>
+        <button type="button" class="btn btn-small btn-copy" data-action="toggle" title="${link.is_enabled ? 'Stop this link from redirecting' : 'Let this link redirect again'}">
+          ${link.is_enabled ? '⏸️ Disable' : '▶️ Enable'}
+        </button>
+        <button type="button" class="btn btn-small btn-copy" data-action="password" title="${link.has_password ? 'Change or remove the password' : 'Require a password to follow this link'}">
+          🔒 Password
+        </button>
+        <button type="button" class="btn btn-small btn-copy" data-action="tags" title="Change this link's tags">
+          🏷 Tags
+        </button>
+        <button type="button" class="btn btn-small btn-copy" data-action="qr" title="Show QR code">
+          🔳 QR
+        </button>
+        <a href="${escapeHtml(shortUrl)}+" target="_blank" class="btn btn-small btn-copy" title="See the page visitors get when previewing this link">
+          👁 Preview
+        </a>
+        <button type="button" class="btn btn-small btn-delete" data-action="delete" title="Delete this link">
           🗑️ Delete
         </button>
       </div>
     </td>
   `;
   
+  // Codes and URLs are user input, so handlers get them from the closure
+  // rather than from markup
+  const actions = {
+    copy: () => copyLink(shortUrl),
+    edit: () => startEdit(link.short_code),
+    toggle: () => toggleLink(link.short_code, !link.is_enabled),
+    password: () => setPassword(link.short_code, link.has_password),
+    tags: () => editTags(link.short_code),
+    qr: () => showQr(link.short_code),
+    delete: () => deleteLink(link.short_code)
+  };
+  row.querySelectorAll('[data-action]').forEach(button => {
+    button.addEventListener('click', actions[button.dataset.action]);
+  });
+  row.querySelectorAll('.tag-chip').forEach(chip => {
+    chip.addEventListener('click', () => filterByTag(chip.dataset.tag));
+  });
+  
   return row;
 }
 
+// ============================================
+// EDIT LINK
+// ============================================
+
+function startEdit(code) {
+  const link = allLinks.find(l => l.short_code === code);
+  const row = [...linksBody.rows].find(r => r.dataset.code === code);
+  if (!link || !row) {
+    return;
+  }
+  
+  row.innerHTML = `
+    <td>
+      <input type="text" class="edit-input" id="editCode" value="${escapeHtml(link.short_code)}" maxlength="${Slug.getRules().maxLength}">
+    </td>
+    <td colspan="3">
+      <input type="url" class="edit-input" id="editUrl" value="${escapeHtml(link.target_url)}">
+      <select class="edit-input" id="editCampaign">
+        ${campaignOptions(link.campaign_id)}
+      </select>
+      <input type="text" class="edit-input" id="editTitle" value="${escapeHtml(link.title || '')}" maxlength="200" placeholder="Title for the preview page">
+      <label class="checkbox-label">
+        <input type="checkbox" id="editInterstitial" ${link.interstitial ? 'checked' : ''}>
+        Always show the preview page
+      </label>
+      <span class="error-message" id="editError"></span>
+    </td>
+    <td>
+      <div class="action-buttons">
+        <button type="button" class="btn btn-small btn-copy" id="editSave">💾 Save</button>
+        <button type="button" class="btn btn-small btn-secondary" id="editCancel">Cancel</button>
+      </div>
+    </td>
+  `;
+  
+  document.getElementById('editSave').addEventListener('click', () => saveEdit(code));
+  document.getElementById('editCancel').addEventListener('click', () => renderLinks(allLinks));
+  document.getElementById('editUrl').focus();
+}
+
+async function saveEdit(code) {
+  const link = allLinks.find(l => l.short_code === code);
+  const editError = document.getElementById('editError');
+  const newCode = document.getElementById('editCode').value.trim();
+  const newUrl = document.getElementById('editUrl').value.trim();
+  const newCampaign = document.getElementById('editCampaign').value;
+  const newTitle = document.getElementById('editTitle').value.trim();
+  const newInterstitial = document.getElementById('editInterstitial').checked;
+  
+  if (!isValidUrl(newUrl)) {
+    showError(editError, 'Please enter a valid URL (including http:// or https://)');
+    return;
+  }
+  
+  const slugError = newCode !== link.short_code ? Slug.validateSlug(newCode) : null;
+  if (slugError) {
+    showError(editError, slugError);
+    return;
+  }
+  
+  // Only send the fields that changed
+  const changes = {};
+  if (newUrl !== link.target_url) {
+    changes.target_url = newUrl;
+  }
+  if (newCode !== link.short_code) {
+    changes.short_code = newCode;
+  }
+  if (newCampaign !== String(link.campaign_id || '')) {
+    changes.campaign_id = newCampaign ? Number(newCampaign) : null;
+  }
+  if (newTitle !== (link.title || '')) {
+    changes.title = newTitle || null;
+  }
+  if (newInterstitial !== link.interstitial) {
+    changes.interstitial = newInterstitial;
+  }
+  
+  if (Object.keys(changes).length === 0) {
+    renderLinks(allLinks);
+    return;
+  }
+  
+  const result = await updateLink(code, changes);
+  if (result.error) {
+    showError(editError, result.error);
+    return;
+  }
+  
+  showSuccess(`Link "${result.link.short_code}" updated`);
+  await loadGroups();
+  await loadLinks();
+}
+
+async function toggleLink(code, enabled) {
+  const result = await updateLink(code, { is_enabled: enabled });
+  if (result.error) {
+    alert(result.error);
+    return;
+  }
+  
+  showSuccess(`Link "${code}" ${enabled ? 'enabled' : 'disabled'}`);
+  await loadLinks();
+}
+
+async function setPassword(code, hasPassword) {
+  const message = hasPassword
+    ? `New password for "${code}" (leave empty to remove the password):`
+    : `Password for "${code}" (at least 4 characters):`;
+  const password = prompt(message);
+  
+  if (password === null || (!hasPassword && password === '')) {
+    return;
+  }
+  
+  if (password && password.length < 4) {
+    alert('Password must be at least 4 characters');
+    return;
+  }
+  
+  const result = await updateLink(code, { password: password || null });
+  if (result.error) {
+    alert(result.error);
+    return;
+  }
+  
+  showSuccess(password ? `Password set for "${code}"` : `Password removed from "${code}"`);
+  await loadLinks();
+}
+
+async function updateLink(code, changes) {
+  try {
+    const response = await apiFetch(`/api/links/${encodeURIComponent(code)}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(changes)
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      if (response.status === 409) {
+        return { error: `Short code "${changes.short_code}" already exists. Please choose another one.` };
+      }
+      return { error: data.error || 'Failed to update link' };
+    }
+    
+    return { link: data };
+    
+  } catch (error) {
+    console.error('Error:', error);
+    return { error: 'An error occurred while updating the link' };
+  }
+}
+
+// ============================================
+// CAMPAIGNS & TAGS
+// ============================================
+
+// Load campaigns and tags for the sidebar and the campaign pickers
+async function loadGroups() {
+  try {
+    const [campaignResponse, tagResponse] = await Promise.all([
+      apiFetch('/api/campaigns'),
+      apiFetch('/api/tags')
+    ]);
+    
+    if (!campaignResponse.ok || !tagResponse.ok) {
+      return;
+    }
+    
+    campaigns = await campaignResponse.json();
+    renderGroupFilters(await tagResponse.json());
+    campaignSelect.innerHTML = campaignOptions(Number(campaignSelect.value) || null);
+    
+  } catch (error) {
+    console.error('Error loading campaigns and tags:', error);
+  }
+}
+
+function renderGroupFilters(tags) {
+  const campaignItems = campaigns.map(c => filterItem(
+    String(c.id),
+    activeCampaign === String(c.id),
+    escapeHtml(c.name),
+    `${c.total_clicks.toLocaleString()} click${c.total_clicks === 1 ? '' : 's'}`,
+    `${c.link_count} link${c.link_count === 1 ? '' : 's'}${c.description ? ` · ${escapeHtml(c.description)}` : ''}`
+  ));
+  
+  campaignList.innerHTML = [
+    filterItem('', !activeCampaign && !activeTag, 'All links', '', ''),
+    ...campaignItems,
+    campaigns.length > 0 ? filterItem('none', activeCampaign === 'none', 'No campaign', '', '') : ''
+  ].join('');
+  
+  tagList.innerHTML = tags.length > 0
+    ? tags.map(t => `
+      <li>
+        <button type="button" class="${activeTag === t.name ? 'active' : ''}" data-tag="${escapeHtml(t.name)}">
+          <span>#${escapeHtml(t.name)}</span>
+          <span class="filter-count">${t.link_count}</span>
+        </button>
+      </li>`).join('')
+    : '<li class="filter-empty">No tags yet</li>';
+  
+  campaignList.querySelectorAll('[data-campaign]').forEach(button => {
+    button.addEventListener('click', () => filterByCampaign(button.dataset.campaign));
+  });
+  tagList.querySelectorAll('[data-tag]').forEach(button => {
+    button.addEventListener('click', () => filterByTag(button.dataset.tag));
+  });
+}
+
+// Sidebar entry filtering by campaignId ('' for all links, 'none' for links
+// without a campaign); label and title are HTML
+function filterItem(campaignId, active, label, count, title) {
+  return `
+    <li>
+      <button type="button" class="${active ? 'active' : ''}" data-campaign="${escapeHtml(campaignId)}" title="${title}">
+        <span>${label}</span>
+        <span class="filter-count">${count}</span>
+      </button>
+    </li>`;
+}
+
+// <option>s for a campaign picker, with the given campaign selected
+function campaignOptions(selectedId) {
+  return [
+    '<option value="">No campaign</option>',
+    ...campaigns.map(c => `<option value="${c.id}" ${c.id === selectedId ? 'selected' : ''}>${escapeHtml(c.name)}</option>`)
+  ].join('');
+}
+
+// Campaign and tag filters are exclusive: picking one clears the other
+async function filterByCampaign(campaignId) {
+  activeCampaign = campaignId;
+  activeTag = '';
+  await loadGroups();
+  goToPage(1);
+}
+
+async function filterByTag(tag) {
+  activeTag = activeTag === tag ? '' : tag;
+  activeCampaign = '';
+  await loadGroups();
+  goToPage(1);
+}
+
+async function createCampaign() {
+  const name = prompt('Name of the new campaign:');
+  if (!name || !name.trim()) {
+    return;
+  }
+  
+  try {
+    const response = await apiFetch('/api/campaigns', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ name: name.trim() })
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      alert(data.error || 'Failed to create campaign');
+      return;
+    }
+    
+    showSuccess(`Campaign "${data.name}" created`);
+    await loadGroups();
+    
+  } catch (error) {
+    console.error('Error:', error);
+    alert('An error occurred while creating the campaign');
+  }
+}
+
+async function editTags(code) {
+  const link = allLinks.find(l => l.short_code === code);
+  const tags = prompt(`Tags for "${code}", separated by commas (leave empty to remove all):`, (link.tags || []).join(', '));
+  
+  if (tags === null) {
+    return;
+  }
+  
+  const result = await updateLink(code, { tags: tags.trim() });
+  if (result.error) {
+    alert(result.error);
+    return;
+  }
+  
+  showSuccess(`Tags updated for "${code}"`);
+  await loadGroups();
+  await loadLinks();
+}
+
 // ============================================
 // DELETE LINK
 // ============================================
@@ -209,7 +793,7 @@ async function deleteLink(code) {
   }
   
   try {
-    const response = await fetch(`/api/links/${code}`, {
+    const response = await apiFetch(`/api/links/${encodeURIComponent(code)}`, {
       method: 'DELETE'
     });
     
@@ -219,6 +803,7 @@ async function deleteLink(code) {
     }
     
     showSuccess(`Link "${code}" deleted successfully`);
+    await loadGroups();
     await loadLinks();
     
   } catch (error) {
@@ -228,23 +813,177 @@ async function deleteLink(code) {
 }
 
 // ============================================
-// SEARCH & FILTER
+// IMPORT & EXPORT
 // ============================================
 
-function handleSearch(e) {
-  const searchTerm = e.target.value.toLowerCase();
+async function handleImport() {
+  const file = importFile.files[0];
+  if (!file) {
+    return;
+  }
   
-  if (!searchTerm) {
-    renderLinks(allLinks);
+  importBtn.disabled = true;
+  importBtn.textContent = 'Importing...';
+  importReport.classList.remove('show');
+  
+  try {
+    const text = await file.text();
+    const isJson = file.name.toLowerCase().endsWith('.json');
+    
+    const response = await apiFetch('/api/links/bulk', {
+      method: 'POST',
+      headers: {
+        'Content-Type': isJson ? 'application/json' : 'text/csv',
+      },
+      body: text
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      showImportReport(`Import failed: ${data.error || 'unknown error'}`, []);
+      return;
+    }
+    
+    const failures = data.results.filter(r => r.status >= 400);
+    showImportReport(
+      `Import finished: ${data.created} created, ${data.existing} already existed, ${data.failed} failed`,
+      failures
+    );
+    await loadGroups();
+    await loadLinks();
+    
+  } catch (error) {
+    console.error('Error importing links:', error);
+    showImportReport('Import failed: the file could not be read', []);
+  } finally {
+    importFile.value = '';
+    importBtn.disabled = false;
+    importBtn.textContent = '📥 Import';
+  }
+}
+
+function showImportReport(summary, failures) {
+  const failureItems = failures.map(f =>
+    `<li>Row ${f.row}: ${escapeHtml(f.target_url || '(no URL)')} — ${escapeHtml(f.error)}</li>`
+  ).join('');
+  
+  importReport.innerHTML = `
+    <p>${escapeHtml(summary)}</p>
+    ${failureItems ? `<ul>${failureItems}</ul>` : ''}
+  `;
+  importReport.classList.add('show');
+}
+
+async function exportLinks(format) {
+  try {
+    const response = await apiFetch(`/api/links/export?format=${format}`);
+    
+    if (!response.ok) {
+      alert('Failed to export links');
+      return;
+    }
+    
+    downloadBlob(await response.blob(), `tinylink-links.${format}`);
+    
+  } catch (error) {
+    console.error('Error exporting links:', error);
+    alert('An error occurred while exporting links');
+  }
+}
+
+// ============================================
+// SEARCH, FILTER & PAGINATION
+// ============================================
+
+// Search runs on the server; wait for a pause in typing before querying
+function handleSearch() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => goToPage(1), SEARCH_DELAY_MS);
+}
+
+function goToPage(page) {
+  currentPage = Math.max(1, page);
+  loadLinks();
+}
+
+function renderPagination(data) {
+  if (data.pages <= 1) {
+    pagination.style.display = 'none';
     return;
   }
   
-  const filtered = allLinks.filter(link => 
-    link.short_code.toLowerCase().includes(searchTerm) ||
-    link.target_url.toLowerCase().includes(searchTerm)
-  );
+  pagination.style.display = 'flex';
+  pageInfo.textContent = `Page ${data.page} of ${data.pages} (${data.total.toLocaleString()} links)`;
+  prevPage.disabled = data.page <= 1;
+  nextPage.disabled = data.page >= data.pages;
+}
+
+// ============================================
+// QR CODES
+// ============================================
+
+let qrCode = null;
+let qrObjectUrl = null;
+
+async function showQr(code) {
+  qrCode = code;
+  qrTitle.textContent = `/${code}`;
+  qrError.textContent = '';
+  qrError.classList.remove('show');
+  qrImage.removeAttribute('src');
+  qrModal.classList.add('show');
   
-  renderLinks(filtered);
+  try {
+    const response = await apiFetch(`/api/links/${encodeURIComponent(code)}/qr?format=png&size=300`);
+    
+    if (!response.ok) {
+      showError(qrError, 'Failed to load QR code');
+      return;
+    }
+    
+    const blob = await response.blob();
+    if (qrCode !== code) {
+      return; // closed or switched to another link meanwhile
+    }
+    
+    qrObjectUrl = URL.createObjectURL(blob);
+    qrImage.src = qrObjectUrl;
+    
+  } catch (error) {
+    console.error('Error loading QR code:', error);
+    showError(qrError, 'An error occurred while loading the QR code');
+  }
+}
+
+function closeQr() {
+  qrModal.classList.remove('show');
+  qrCode = null;
+  if (qrObjectUrl) {
+    URL.revokeObjectURL(qrObjectUrl);
+    qrObjectUrl = null;
+  }
+}
+
+async function downloadQr(format) {
+  if (!qrCode) {
+    return;
+  }
+  
+  try {
+    const response = await apiFetch(`/api/links/${encodeURIComponent(qrCode)}/qr?format=${format}&size=1024`);
+    
+    if (!response.ok) {
+      showError(qrError, 'Failed to download QR code');
+      return;
+    }
+    
+    downloadBlob(await response.blob(), `tinylink-${qrCode.replace(/\//g, '-')}.${format}`);
+    
+  } catch (error) {
+    console.error('Error downloading QR code:', error);
+    showError(qrError, 'An error occurred while downloading the QR code');
+  }
 }
 
 // ============================================
@@ -279,11 +1018,6 @@ function isValidUrl(url) {
   }
 }
 
-function isValidCode(code) {
-  const regex = /^[A-Za-z0-9]{6,8}$/;
-  return regex.test(code);
-}
-
 // ============================================
 // ERROR & SUCCESS MESSAGES
 // ============================================
@@ -298,6 +1032,10 @@ function clearErrors() {
   urlError.classList.remove('show');
   codeError.textContent = '';
   codeError.classList.remove('show');
+  expiresError.textContent = '';
+  expiresError.classList.remove('show');
+  passwordError.textContent = '';
+  passwordError.classList.remove('show');
   successMsg.textContent = '';
   successMsg.classList.remove('show');
 }
@@ -314,6 +1052,61 @@ function showSuccess(message) {
 // UTILITIES
 // ============================================
 
+// Summarise remaining lifetime and clicks, e.g. "3d 4h left · 12 clicks left"
+function describeLimits(link) {
+  if (link.is_expired) {
+    return '<span class="metric-badge badge-expired">Expired</span>';
+  }
+  
+  const parts = [];
+  if (link.expires_at) {
+    parts.push(`${formatTimeLeft(new Date(link.expires_at) - new Date())} left`);
+  }
+  if (link.max_clicks) {
+    const remaining = link.max_clicks - (link.total_clicks || 0);
+    parts.push(`${remaining} click${remaining === 1 ? '' : 's'} left`);
+  }
+  
+  return `<span class="metric-badge badge-limited">${parts.join(' · ')}</span>`;
+}
+
+// Badge for the destination's latest health check; nothing until checked
+function describeHealth(link) {
+  const badges = {
+    ok: ['badge-health-ok', '✓ OK'],
+    client_error: ['badge-health-broken', '⚠️ 4xx'],
+    server_error: ['badge-health-broken', '⚠️ 5xx'],
+    unreachable: ['badge-health-broken', '⚠️ Unreachable']
+  };
+  const badge = badges[link.health_status];
+  if (!badge) {
+    return '';
+  }
+  
+  const checked = new Date(link.health_checked_at).toLocaleString();
+  return `<span class="metric-badge ${badge[0]}" title="Destination checked ${checked}">${badge[1]}</span>`;
+}
+
+function formatTimeLeft(ms) {
+  const minutes = Math.max(0, Math.floor(ms / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  
+  if (days > 0) {
+    return `${days}d ${hours}h`;
+  }
+  if (hours > 0) {
+    return `${hours}h ${minutes % 60}m`;
+  }
+  return `${minutes}m`;
+}
+
+function escapeHtml(value) {
+  const div = document.createElement('div');
+  div.textContent = value;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
 function truncateUrl(url) {
   const maxLength = 50;
   if (url.length > maxLength) {
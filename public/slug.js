@@ -0,0 +1,86 @@
+/**
+ * TinyLink - Short Code Rules
+ * Shared by the server (require('./public/slug')) and the browser
+ * (window.Slug) so both accept exactly the same short codes.
+ *
+ * A code is one or more segments separated by "/", like q4-launch or
+ * docs/onboarding. Segments use letters, digits, "-" and "_", and start and
+ * end with a letter or digit. Dots are never allowed, so a code can't shadow
+ * a static file such as styles.css.
+ */
+
+(function (exports) {
+  const SEGMENT = /^[A-Za-z0-9](?:[A-Za-z0-9_-]*[A-Za-z0-9])?$/;
+
+  // Upper bound for any configured maximum (the short_code column size)
+  const HARD_MAX_LENGTH = 100;
+
+  // First path segments used by the app's own routes and pages, plus the
+  // fixed routes under /api/links/ that would shadow a link's own
+  const RESERVED_WORDS = [
+    'api', 'code', 'healthz', 'readyz', 'metrics',
+    'admin', 'assets', 'static', 'public',
+    'index', 'stats', 'styles', 'script', 'slug', 'favicon', 'robots',
+    'export', 'bulk'
+  ];
+
+  let rules = {
+    minLength: 3,
+    maxLength: 64,
+    reserved: RESERVED_WORDS
+  };
+
+  /**
+   * Override the default rules (the server pushes its configuration to the
+   * browser through /slug-rules.js)
+   */
+  function configure(options) {
+    rules = { ...rules, ...options };
+    return rules;
+  }
+
+  function getRules() {
+    return rules;
+  }
+
+  /**
+   * True when slug has the shape of a code (segments of allowed characters),
+   * ignoring length limits and reserved words. Codes created under older
+   * rules still pass this.
+   */
+  function hasSlugFormat(slug) {
+    return typeof slug === 'string' && slug.split('/').every(segment => SEGMENT.test(segment));
+  }
+
+  /**
+   * Check a new short code. Returns an error message, or null when valid.
+   */
+  function validateSlug(slug) {
+    if (typeof slug !== 'string' || slug.length < rules.minLength || slug.length > rules.maxLength) {
+      return `Code must be ${rules.minLength}-${rules.maxLength} characters`;
+    }
+
+    if (!hasSlugFormat(slug)) {
+      return 'Code may only contain letters, digits, "-", "_" and "/" (between words)';
+    }
+
+    const first = slug.split('/')[0];
+    if (rules.reserved.includes(first.toLowerCase())) {
+      return `"${first}" is reserved and can't start a code`;
+    }
+
+    return null;
+  }
+
+  function isValidSlug(slug) {
+    return validateSlug(slug) === null;
+  }
+
+  exports.HARD_MAX_LENGTH = HARD_MAX_LENGTH;
+  exports.RESERVED_WORDS = RESERVED_WORDS;
+  exports.configure = configure;
+  exports.getRules = getRules;
+  exports.hasSlugFormat = hasSlugFormat;
+  exports.validateSlug = validateSlug;
+  exports.isValidSlug = isValidSlug;
+})(typeof module !== 'undefined' ? module.exports : (window.Slug = {}));
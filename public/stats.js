@@ -15,11 +15,55 @@ const statCode = document.getElementById('statCode');
 const statUrl = document.getElementById('statUrl');
 const statShortUrl = document.getElementById('statShortUrl');
 const statClicks = document.getElementById('statClicks');
+const statBotClicks = document.getElementById('statBotClicks');
 const statCreationCount = document.getElementById('statCreationCount');
 const statLastClicked = document.getElementById('statLastClicked');
 const statCreated = document.getElementById('statCreated');
+const statUpdated = document.getElementById('statUpdated');
+const statStatus = document.getElementById('statStatus');
+const statExpires = document.getElementById('statExpires');
+const statPassword = document.getElementById('statPassword');
+const statUtm = document.getElementById('statUtm');
+const statForwardQuery = document.getElementById('statForwardQuery');
+const statTitle = document.getElementById('statTitle');
+const statPreview = document.getElementById('statPreview');
+const statClicksRemaining = document.getElementById('statClicksRemaining');
 const visitLink = document.getElementById('visitLink');
 const copyNotification = document.getElementById('copyNotification');
+const chartInterval = document.getElementById('chartInterval');
+const clickChart = document.getElementById('clickChart');
+const chartSummary = document.getElementById('chartSummary');
+const breakdown = document.getElementById('breakdown');
+const breakdownSummary = document.getElementById('breakdownSummary');
+const rulesSection = document.getElementById('rulesSection');
+const rulesBody = document.getElementById('rulesBody');
+const rulesSummary = document.getElementById('rulesSummary');
+const qrEcc = document.getElementById('qrEcc');
+const qrImage = document.getElementById('qrImage');
+const qrSummary = document.getElementById('qrSummary');
+const editForm = document.getElementById('editForm');
+const editUrl = document.getElementById('editUrl');
+const editCode = document.getElementById('editCode');
+const editEnabled = document.getElementById('editEnabled');
+const editPassword = document.getElementById('editPassword');
+const editRemovePassword = document.getElementById('editRemovePassword');
+const removePasswordLabel = document.getElementById('removePasswordLabel');
+const editError = document.getElementById('editError');
+const editSuccess = document.getElementById('editSuccess');
+const saveBtn = document.getElementById('saveBtn');
+
+let currentLink = null;
+let qrObjectUrl = null;
+
+// Tables shown in the click breakdown, with the label for clicks where the
+// value is unknown
+const BREAKDOWN_TABLES = [
+  { key: 'countries', title: 'Countries', unknown: 'Unknown' },
+  { key: 'devices', title: 'Devices', unknown: 'Unknown' },
+  { key: 'browsers', title: 'Browsers', unknown: 'Unknown' },
+  { key: 'operating_systems', title: 'Operating Systems', unknown: 'Unknown' },
+  { key: 'referrers', title: 'Referrers', unknown: 'Direct / none' }
+];
 
 // ============================================
 // INITIALIZATION
@@ -27,6 +71,9 @@ const copyNotification = document.getElementById('copyNotification');
 
 document.addEventListener('DOMContentLoaded', () => {
   loadStats();
+  chartInterval.addEventListener('change', () => loadClickSeries(statCode.textContent));
+  qrEcc.addEventListener('change', () => loadQr(statCode.textContent));
+  editForm.addEventListener('submit', handleEdit);
 });
 
 // ============================================
@@ -34,9 +81,8 @@ document.addEventListener('DOMContentLoaded', () => {
 // ============================================
 
 async function loadStats() {
-  // Extract short code from URL
-  const pathParts = window.location.pathname.split('/');
-  const code = pathParts[pathParts.length - 1];
+  // Everything after /code/ is the short code (it may contain slashes)
+  const code = decodeURIComponent(window.location.pathname.slice('/code/'.length)).replace(/\/+$/, '');
   
   if (!code) {
     showError('Invalid link code');
@@ -44,10 +90,12 @@ async function loadStats() {
   }
   
   try {
-    const response = await fetch(`/api/links/${code}`);
+    const response = await apiFetch(`/api/links/${encodeURIComponent(code)}`);
     
     if (!response.ok) {
-      if (response.status === 404) {
+      if (response.status === 401) {
+        showError('Sign in with your API key on the dashboard to view link statistics');
+      } else if (response.status === 404) {
         showError('Link not found');
       } else {
         showError('Error loading link details');
@@ -57,6 +105,10 @@ async function loadStats() {
     
     const link = await response.json();
     displayStats(link);
+    loadClickSeries(link.short_code);
+    loadBreakdown(link.short_code);
+    loadRules(link.short_code);
+    loadQr(link.short_code);
     
   } catch (error) {
     console.error('Error:', error);
@@ -69,6 +121,8 @@ async function loadStats() {
 // ============================================
 
 function displayStats(link) {
+  currentLink = link;
+  
   // Hide loading state
   loadingState.style.display = 'none';
   
@@ -80,6 +134,7 @@ function displayStats(link) {
   statShortUrl.textContent = shortUrl;
   statUrl.textContent = link.target_url;
   statClicks.textContent = link.total_clicks.toLocaleString();
+  statBotClicks.textContent = (link.bot_clicks || 0).toLocaleString();
   statCreationCount.textContent = link.creation_count || 1;
   
   // Format dates
@@ -92,6 +147,40 @@ function displayStats(link) {
   
   const createdDate = new Date(link.created_at);
   statCreated.textContent = createdDate.toLocaleString();
+  statUpdated.textContent = new Date(link.updated_at).toLocaleString();
+  statStatus.textContent = link.is_enabled ? 'Enabled' : 'Disabled';
+  statPassword.textContent = link.has_password ? '🔒 Protected' : 'None';
+  statUtm.textContent = link.utm
+    ? Object.entries(link.utm).map(([field, value]) => `${field}=${value}`).join('&')
+    : 'None';
+  statForwardQuery.textContent = link.forward_query ? 'On' : 'Off';
+  statTitle.textContent = link.title || 'None';
+  statTitle.title = link.description || '';
+  statPreview.textContent = link.interstitial ? 'Always shown' : `On request (/${link.short_code}+)`;
+  
+  // Pre-fill the edit form
+  editUrl.value = link.target_url;
+  editCode.value = link.short_code;
+  editEnabled.checked = link.is_enabled;
+  editPassword.value = '';
+  editRemovePassword.checked = false;
+  removePasswordLabel.style.display = link.has_password ? '' : 'none';
+  
+  // Expiration and click limit
+  if (link.expires_at) {
+    const expiresDate = new Date(link.expires_at);
+    const expired = expiresDate <= new Date();
+    statExpires.textContent = `${expiresDate.toLocaleString()} (${expired ? 'expired' : formatTimeLeft(expiresDate - new Date()) + ' left'})`;
+  } else {
+    statExpires.textContent = 'Never';
+  }
+  
+  if (link.max_clicks) {
+    const remaining = Math.max(0, link.max_clicks - link.total_clicks);
+    statClicksRemaining.textContent = `${remaining.toLocaleString()} of ${link.max_clicks.toLocaleString()}`;
+  } else {
+    statClicksRemaining.textContent = 'Unlimited';
+  }
   
   // Set visit link
   visitLink.href = shortUrl;
@@ -100,6 +189,425 @@ function displayStats(link) {
   statsContent.style.display = 'block';
 }
 
+// ============================================
+// CLICK CHART
+// ============================================
+
+async function loadClickSeries(code) {
+  const interval = chartInterval.value;
+  
+  try {
+    const response = await apiFetch(`/api/links/${encodeURIComponent(code)}/clicks?interval=${interval}`);
+    
+    if (!response.ok) {
+      chartSummary.textContent = 'Click history unavailable';
+      return;
+    }
+    
+    const series = await response.json();
+    renderClickChart(series);
+    
+  } catch (error) {
+    console.error('Error loading click history:', error);
+    chartSummary.textContent = 'Click history unavailable';
+  }
+}
+
+function renderClickChart(series) {
+  const buckets = series.buckets;
+  const width = 600;
+  const height = 200;
+  const labelHeight = 20;
+  const chartHeight = height - labelHeight;
+  const maxCount = Math.max(1, ...buckets.map(b => b.count));
+  const barWidth = width / Math.max(buckets.length, 1);
+  // Label roughly every sixth bar so the axis stays readable
+  const labelEvery = Math.max(1, Math.ceil(buckets.length / 6));
+  
+  const bars = buckets.map((b, i) => {
+    const barHeight = (b.count / maxCount) * (chartHeight - 10);
+    const x = i * barWidth;
+    const y = chartHeight - barHeight;
+    const label = formatBucket(b.bucket, series.interval);
+    const axisLabel = i % labelEvery === 0
+      ? `<text x="${x + barWidth / 2}" y="${height - 4}" text-anchor="middle" class="chart-label">${label}</text>`
+      : '';
+    
+    return `
+      <rect x="${x + 1}" y="${y}" width="${Math.max(barWidth - 2, 1)}" height="${barHeight}" class="chart-bar">
+        <title>${label}: ${b.count} click${b.count === 1 ? '' : 's'}</title>
+      </rect>
+      ${axisLabel}
+    `;
+  }).join('');
+  
+  clickChart.innerHTML = `
+    <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Clicks over time">
+      <line x1="0" y1="${chartHeight}" x2="${width}" y2="${chartHeight}" class="chart-axis" />
+      ${bars}
+    </svg>
+  `;
+  
+  chartSummary.textContent = `${series.total.toLocaleString()} click${series.total === 1 ? '' : 's'} in this period`;
+}
+
+function formatBucket(bucket, interval) {
+  const date = new Date(bucket);
+  if (interval === 'hour') {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+}
+
+// ============================================
+// CLICK BREAKDOWN
+// ============================================
+
+async function loadBreakdown(code) {
+  try {
+    const response = await apiFetch(`/api/links/${encodeURIComponent(code)}/breakdown?limit=10`);
+    
+    if (!response.ok) {
+      breakdownSummary.textContent = 'Click breakdown unavailable';
+      return;
+    }
+    
+    renderBreakdown(await response.json());
+    
+  } catch (error) {
+    console.error('Error loading click breakdown:', error);
+    breakdownSummary.textContent = 'Click breakdown unavailable';
+  }
+}
+
+function renderBreakdown(data) {
+  if (data.total === 0) {
+    breakdown.innerHTML = '';
+    breakdownSummary.textContent = 'No clicks recorded yet';
+    return;
+  }
+  
+  breakdown.innerHTML = BREAKDOWN_TABLES.map(table => {
+    const rows = data[table.key].map(row => {
+      const share = (row.count / data.total) * 100;
+      const label = row.value === null ? table.unknown : formatBreakdownValue(table.key, row.value);
+      
+      return `
+        <tr>
+          <td class="breakdown-label" title="${escapeHtml(label)}">${escapeHtml(label)}</td>
+          <td class="breakdown-bar-cell"><div class="breakdown-bar" style="width: ${share.toFixed(1)}%"></div></td>
+          <td class="breakdown-count">${row.count.toLocaleString()} <span>(${Math.round(share)}%)</span></td>
+        </tr>
+      `;
+    }).join('');
+    
+    return `
+      <div class="breakdown-table">
+        <h4>${table.title}</h4>
+        <table>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }).join('');
+  
+  breakdownSummary.textContent = `Top ${data.limit} of ${data.total.toLocaleString()} logged click${data.total === 1 ? '' : 's'}`;
+}
+
+function formatBreakdownValue(key, value) {
+  if (key === 'countries') {
+    try {
+      return `${new Intl.DisplayNames([], { type: 'region' }).of(value)} (${value})`;
+    } catch {
+      return value;
+    }
+  }
+  
+  if (key === 'devices') {
+    return value.charAt(0).toUpperCase() + value.slice(1);
+  }
+  
+  return value;
+}
+
+// ============================================
+// ROUTING RULES
+// ============================================
+
+async function loadRules(code) {
+  try {
+    const response = await apiFetch(`/api/links/${encodeURIComponent(code)}/rules`);
+    
+    if (!response.ok) {
+      return;
+    }
+    
+    renderRules(await response.json());
+    
+  } catch (error) {
+    console.error('Error loading routing rules:', error);
+  }
+}
+
+// One row per rule (or per variant of an A/B rule) with the clicks it
+// routed, then the link's own target for visits no rule matched. Labels of
+// rules removed since still show up when they have clicks.
+function renderRules(data) {
+  const counts = new Map(data.clicks.map(row => [row.variant, row.count]));
+  const routed = data.clicks.some(row => row.variant !== null);
+  
+  if (data.rules.length === 0 && !routed) {
+    rulesSection.style.display = 'none';
+    return;
+  }
+  
+  const total = data.clicks.reduce((sum, row) => sum + row.count, 0);
+  const clickCell = label => {
+    const count = counts.get(label) || 0;
+    counts.delete(label);
+    const share = total > 0 ? ` <span>(${Math.round((count / total) * 100)}%)</span>` : '';
+    return `<td class="breakdown-count">${count.toLocaleString()}${share}</td>`;
+  };
+  
+  const rows = data.rules.map(rule => {
+    if (rule.target_url) {
+      return `
+        <tr>
+          <td><strong>${escapeHtml(rule.label)}</strong></td>
+          <td>${describeConditions(rule.when)}</td>
+          <td class="url-value">${escapeHtml(rule.target_url)}</td>
+          ${clickCell(rule.label)}
+        </tr>
+      `;
+    }
+    
+    const weights = rule.variants.reduce((sum, v) => sum + v.weight, 0);
+    return rule.variants.map((variant, i) => `
+        <tr>
+          ${i === 0 ? `<td rowspan="${rule.variants.length}"><strong>${escapeHtml(rule.label)}</strong></td>` : ''}
+          ${i === 0 ? `<td rowspan="${rule.variants.length}">${describeConditions(rule.when)}</td>` : ''}
+          <td class="url-value">
+            <span class="metric-badge">${escapeHtml(variant.label)} · ${Math.round((variant.weight / weights) * 100)}%</span>
+            ${escapeHtml(variant.target_url)}
+          </td>
+          ${clickCell(variant.label)}
+        </tr>
+      `).join('');
+  });
+  
+  rows.push(`
+    <tr>
+      <td><em>Default</em></td>
+      <td>No rule matched</td>
+      <td class="url-value">${escapeHtml(currentLink.target_url)}</td>
+      ${clickCell(null)}
+    </tr>
+  `);
+  
+  // Clicks routed by rules that no longer exist
+  counts.forEach((count, label) => {
+    rows.push(`
+      <tr class="rule-removed">
+        <td>${escapeHtml(label)}</td>
+        <td>Rule removed</td>
+        <td></td>
+        ${clickCell(label)}
+      </tr>
+    `);
+  });
+  
+  rulesBody.innerHTML = rows.join('');
+  rulesSection.style.display = 'block';
+  rulesSummary.textContent = `Rules are checked top to bottom; ${total.toLocaleString()} logged click${total === 1 ? '' : 's'}`;
+}
+
+function describeConditions(when) {
+  const parts = [];
+  if (when.device) parts.push(`device is ${when.device.join(' or ')}`);
+  if (when.os) parts.push(`OS is ${when.os.join(' or ')}`);
+  if (when.country) parts.push(`country is ${when.country.join(' or ')}`);
+  if (when.language) parts.push(`language is ${when.language.join(' or ')}`);
+  if (when.after) parts.push(`after ${new Date(when.after).toLocaleString()}`);
+  if (when.before) parts.push(`before ${new Date(when.before).toLocaleString()}`);
+  
+  return parts.length > 0 ? escapeHtml(parts.join(', ')) : 'Always';
+}
+
+// ============================================
+// QR CODE
+// ============================================
+
+function qrUrl(code, format, size) {
+  return `/api/links/${encodeURIComponent(code)}/qr?format=${format}&size=${size}&ecc=${qrEcc.value}`;
+}
+
+async function loadQr(code) {
+  try {
+    const response = await apiFetch(qrUrl(code, 'png', 240));
+    
+    if (!response.ok) {
+      qrSummary.textContent = 'QR code unavailable';
+      return;
+    }
+    
+    if (qrObjectUrl) {
+      URL.revokeObjectURL(qrObjectUrl);
+    }
+    qrObjectUrl = URL.createObjectURL(await response.blob());
+    qrImage.src = qrObjectUrl;
+    qrSummary.textContent = 'Scan to open the short link';
+    
+  } catch (error) {
+    console.error('Error loading QR code:', error);
+    qrSummary.textContent = 'QR code unavailable';
+  }
+}
+
+async function downloadQr(format) {
+  const code = statCode.textContent;
+  
+  try {
+    const response = await apiFetch(qrUrl(code, format, 1024));
+    
+    if (!response.ok) {
+      alert('Failed to download QR code');
+      return;
+    }
+    
+    downloadBlob(await response.blob(), `tinylink-${code.replace(/\//g, '-')}.${format}`);
+    
+  } catch (error) {
+    console.error('Error downloading QR code:', error);
+    alert('An error occurred while downloading the QR code');
+  }
+}
+
+function formatTimeLeft(ms) {
+  const minutes = Math.max(0, Math.floor(ms / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  
+  if (days > 0) {
+    return `${days}d ${hours}h`;
+  }
+  if (hours > 0) {
+    return `${hours}h ${minutes % 60}m`;
+  }
+  return `${minutes}m`;
+}
+
+// ============================================
+// EDIT LINK
+// ============================================
+
+async function handleEdit(e) {
+  e.preventDefault();
+  editError.classList.remove('show');
+  
+  const targetUrl = editUrl.value.trim();
+  const shortCode = editCode.value.trim();
+  const password = editPassword.value;
+  
+  if (!isValidUrl(targetUrl)) {
+    editError.textContent = 'Please enter a valid URL (including http:// or https://)';
+    editError.classList.add('show');
+    return;
+  }
+  
+  const slugError = shortCode !== currentLink.short_code ? Slug.validateSlug(shortCode) : null;
+  if (slugError) {
+    editError.textContent = slugError;
+    editError.classList.add('show');
+    return;
+  }
+  
+  if (password && password.length < 4) {
+    editError.textContent = 'Password must be at least 4 characters';
+    editError.classList.add('show');
+    return;
+  }
+  
+  // Only send the fields that changed
+  const changes = {};
+  if (targetUrl !== currentLink.target_url) {
+    changes.target_url = targetUrl;
+  }
+  if (shortCode !== currentLink.short_code) {
+    changes.short_code = shortCode;
+  }
+  if (editEnabled.checked !== currentLink.is_enabled) {
+    changes.is_enabled = editEnabled.checked;
+  }
+  if (password) {
+    changes.password = password;
+  } else if (editRemovePassword.checked) {
+    changes.password = null;
+  }
+  
+  if (Object.keys(changes).length === 0) {
+    return;
+  }
+  
+  saveBtn.disabled = true;
+  saveBtn.textContent = 'Saving...';
+  
+  try {
+    const response = await apiFetch(`/api/links/${encodeURIComponent(currentLink.short_code)}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(changes)
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      editError.textContent = response.status === 409
+        ? `Short code "${shortCode}" already exists. Please choose another one.`
+        : (data.error || 'Failed to update link');
+      editError.classList.add('show');
+      return;
+    }
+    
+    // The stats page URL contains the code, so follow a rename
+    if (changes.short_code) {
+      window.history.replaceState(null, '', `/code/${data.short_code}`);
+      loadQr(data.short_code);
+    }
+    
+    displayStats(data);
+    editSuccess.textContent = 'Changes saved';
+    editSuccess.classList.add('show');
+    setTimeout(() => {
+      editSuccess.classList.remove('show');
+    }, 3000);
+    
+  } catch (error) {
+    console.error('Error updating link:', error);
+    editError.textContent = 'An error occurred while saving changes';
+    editError.classList.add('show');
+  } finally {
+    saveBtn.disabled = false;
+    saveBtn.textContent = 'Save Changes';
+  }
+}
+
+function isValidUrl(url) {
+  try {
+    new URL(url);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function escapeHtml(value) {
+  const div = document.createElement('div');
+  div.textContent = value;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
 // ============================================
 // ERROR HANDLING
 // ============================================
@@ -160,7 +668,7 @@ async function deleteLink() {
   }
   
   try {
-    const response = await fetch(`/api/links/${code}`, {
+    const response = await apiFetch(`/api/links/${encodeURIComponent(code)}`, {
       method: 'DELETE'
     });
     
@@ -8,8 +8,32 @@ const express = require('express');
 const path = require('path');
 require('dotenv').config();
 
-const pool = require('./db/config');
+const { store, CodeExistsError, NameExistsError } = require('./db/store');
 const initDb = require('./db/init');
+const { clickEvent, parseClickRange, getClickSeries, parseBreakdownLimit } = require('./lib/clicks');
+const { statusPage, unlockPage, previewPage, socialPreviewPage } = require('./lib/pages');
+const { authenticate, ownerScope, issueApiKey } = require('./lib/auth');
+const { parseCsv, parseFlag, toCsv } = require('./lib/csv');
+const { parseQrOptions, shortUrlFor, renderQr } = require('./lib/qr');
+const { limitFromEnv, bucketStoreFromEnv, rateLimit } = require('./lib/rateLimit');
+const { policyFromEnv } = require('./lib/urlPolicy');
+const { validatePassword, hashPassword, verifyPassword, unlockCookie, isUnlocked } = require('./lib/linkPassword');
+const { generateSecret, parseEvents, validateSecret, createWebhookDispatcher } = require('./lib/webhooks');
+const { generatorFromEnv } = require('./lib/codeGenerator');
+const { botDetectorFromEnv, crawlerMatcherFromEnv } = require('./lib/botDetection');
+const { UTM_FIELDS, parseUtmFields, mergeUtm, destinationUrl } = require('./lib/utm');
+const { parseTagName, parseTags, parseCampaignId, parseCampaignFields } = require('./lib/linkGroups');
+const { parseRules, resolveRoute } = require('./lib/routing');
+const { PREVIEW_PARAM, parseLinkDetails, previewRequest, withoutPreviewParam, destinationInfo } = require('./lib/preview');
+const { linkCacheFromEnv } = require('./lib/linkCache');
+const { createClickBuffer } = require('./lib/clickBuffer');
+const { BROKEN_STATUSES, createHealthChecker } = require('./lib/linkHealth');
+const { createMetadataFetcher } = require('./lib/openGraph');
+const { createOutboundClient } = require('./lib/outbound');
+const { logger, requestLogger } = require('./lib/logger');
+const { createRegistry, httpMetrics } = require('./lib/metrics');
+const { checkReadiness } = require('./lib/health');
+const Slug = require('./public/slug');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -18,238 +42,1802 @@ const PORT = process.env.PORT || 3000;
 // MIDDLEWARE SETUP
 // ============================================
 
-app.use(express.json());
+// Behind a reverse proxy, set TRUST_PROXY so req.ip (used for rate limits
+// and click logging) is the client address rather than the proxy's
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  if (trustProxy === 'true') {
+    app.set('trust proxy', true);
+  } else {
+    const hops = Number(trustProxy);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : trustProxy);
+  }
+}
+
+// Request ids and JSON request logs (lib/logger.js), and per-route request
+// metrics for /metrics (lib/metrics.js)
+const metrics = createRegistry();
+app.use(requestLogger(logger));
+app.use(httpMetrics(metrics));
+
+app.use(express.json({ limit: '2mb' })); // large enough for bulk imports
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
 
-// ============================================
-// HELPER FUNCTIONS
-// ============================================
+// Link creation and redirects get separate buckets, so a burst of visitors
+// never stops anyone from creating links (or the other way round). Buckets
+// live in process memory unless RATE_LIMIT_STORE names a shared store.
+const rateLimitStore = bucketStoreFromEnv();
+
+// Every API request is counted per client IP before its key is checked, so
+// guessing keys is throttled like everything else
+const limitApi = rateLimit({
+  name: 'api',
+  limit: limitFromEnv('RATE_LIMIT_API', { perMinute: 300, burst: 60 }),
+  store: rateLimitStore,
+  keys: req => [`ip:${req.ip}`]
+});
+
+// All API routes require an API key; pages and redirects stay public
+app.use('/api', limitApi, authenticate(store));
+
+const limitCreate = rateLimit({
+  name: 'create',
+  limit: limitFromEnv('RATE_LIMIT_CREATE', { perMinute: 30, burst: 10 }),
+  store: rateLimitStore,
+  keys: req => [`ip:${req.ip}`, req.apiKeyId && `key:${req.apiKeyId}`]
+});
+
+const limitRedirect = rateLimit({
+  name: 'redirect',
+  limit: limitFromEnv('RATE_LIMIT_REDIRECT', { perMinute: 600, burst: 100 }),
+  store: rateLimitStore,
+  keys: req => [`ip:${req.ip}`],
+  onLimit: (req, res) => res.status(429).send(statusPage({
+    title: '429 - Too Many Requests',
+    message: 'You are opening links too quickly. Please wait a moment and try again.'
+  }))
+});
+
+// Password attempts are kept low per link and client to slow down guessing
+const limitUnlock = rateLimit({
+  name: 'unlock',
+  limit: limitFromEnv('RATE_LIMIT_UNLOCK', { perMinute: 10, burst: 5 }),
+  store: rateLimitStore,
+  keys: req => [`ip:${req.ip}:${req.params.code}`],
+  onLimit: (req, res) => res.status(429).send(unlockPage({
+    code: req.params.code,
+    error: 'Too many attempts. Please wait a minute and try again.'
+  }))
+});
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+// With CASE_INSENSITIVE_CODES=true, /Q4-Launch redirects like /q4-launch
+// and generated codes are lowercase
+const caseInsensitiveCodes = process.env.CASE_INSENSITIVE_CODES === 'true';
+
+// Codes for links created without one: see lib/codeGenerator.js
+const generateShortCode = generatorFromEnv({ lowercase: caseInsensitiveCodes });
+
+// The stored spelling of a code typed in any case. An exact match wins over
+// codes that only differ in case.
+async function canonicalCode(code) {
+  if (!caseInsensitiveCodes) {
+    return code;
+  }
+
+  const link = await store.links.findByCode(code, { ignoreCase: true });
+  return link ? link.short_code : code;
+}
+
+// Link previews, crawlers and prefetches: see lib/botDetection.js
+const detectBot = botDetectorFromEnv();
+
+// Chat and social apps building a card for a link get its OpenGraph tags
+const isPreviewCrawler = crawlerMatcherFromEnv();
+
+// Where links may point: see lib/urlPolicy.js for the rules
+const checkDestination = policyFromEnv();
+
+// Webhooks may only call public addresses unless told otherwise. URLs are
+// checked when registered, and deliveries refuse hostnames that resolve to a
+// private address (lib/outbound.js), so webhooks can't be used to probe the
+// internal network.
+const webhookClient = createOutboundClient({ allowPrivate: process.env.WEBHOOK_ALLOW_PRIVATE === 'true' });
+const checkWebhookUrl = webhookClient.checkUrl;
+
+const webhooks = store ? createWebhookDispatcher(store, {
+  ...webhookClient,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6),
+  retryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 30) * 1000,
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_SECONDS || 10) * 1000,
+  subscriberTtlMs: Number(process.env.WEBHOOK_SUBSCRIBER_CACHE_SECONDS ?? 30) * 1000
+}) : null;
+
+// Destinations are checked in the background: see lib/linkHealth.js. Checks
+// only reach public addresses unless told otherwise, judged by what each
+// hostname resolves to (lib/outbound.js), so they can't scan the internal
+// network.
+const healthCheckHours = Number(process.env.HEALTH_CHECK_INTERVAL_HOURS ?? 24);
+
+const healthChecker = store && healthCheckHours > 0 ? createHealthChecker(store, {
+  ...createOutboundClient({ allowPrivate: process.env.HEALTH_CHECK_ALLOW_PRIVATE === 'true' }),
+  intervalMs: healthCheckHours * 60 * 60 * 1000,
+  timeoutMs: Number(process.env.HEALTH_CHECK_TIMEOUT_SECONDS || 10) * 1000,
+  onCheck: (link, result) => healthChecksTotal.inc({ status: result.status })
+}) : null;
+
+// Titles, descriptions and images of destinations for those cards: see
+// lib/openGraph.js. Only public addresses are fetched, checked again after
+// DNS resolution (lib/outbound.js). Fetched links drop out of the redirect
+// cache so crawlers see the metadata right away.
+const metadataFetcher = store && process.env.METADATA_FETCH_ENABLED !== 'false' ? createMetadataFetcher(store, {
+  ...createOutboundClient({ allowPrivate: process.env.METADATA_FETCH_ALLOW_PRIVATE === 'true' }),
+  timeoutMs: Number(process.env.METADATA_FETCH_TIMEOUT_SECONDS || 5) * 1000,
+  onFetched: link => linkCache.invalidate(link.short_code)
+}) : null;
+
+// Redirects of plain links are looked up in a cache and count their clicks
+// in batches; every redirect's click event is written in batches too: see
+// lib/linkCache.js and lib/clickBuffer.js
+const linkCache = linkCacheFromEnv();
+
+const clickBuffer = store ? createClickBuffer(store, {
+  flushMs: Number(process.env.CLICK_FLUSH_SECONDS || 2) * 1000,
+  maxPending: Number(process.env.CLICK_FLUSH_MAX_PENDING || 1000)
+}) : null;
+
+// Application metrics; HTTP request metrics come from httpMetrics() above
+const redirectsTotal = metrics.counter('tinylink_redirects_total', 'Redirect requests by outcome', { labels: ['outcome'] });
+const linksCreatedTotal = metrics.counter('tinylink_links_created_total', 'Links created');
+const healthChecksTotal = metrics.counter('tinylink_health_checks_total', 'Destination health checks by result', { labels: ['status'] });
+
+metrics.counter('tinylink_errors_total', 'Errors logged', {
+  collect: () => logger.counts().error
+});
+
+metrics.gauge('tinylink_db_pool_connections', 'Database pool connections by state', {
+  labels: ['state'],
+  collect: () => {
+    const pool = store ? store.poolStats() : null;
+    return pool ? Object.entries(pool).map(([state, value]) => ({ labels: { state }, value })) : [];
+  }
+});
+
+metrics.counter('tinylink_link_cache_lookups_total', 'Redirect cache lookups by result', {
+  labels: ['result'],
+  collect: () => {
+    const { hits, shared_hits, misses } = linkCache.stats();
+    return [
+      { labels: { result: 'hit' }, value: hits },
+      { labels: { result: 'shared_hit' }, value: shared_hits },
+      { labels: { result: 'miss' }, value: misses }
+    ];
+  }
+});
+metrics.gauge('tinylink_link_cache_entries', 'Links in the redirect cache', {
+  collect: () => linkCache.stats().size
+});
+
+metrics.gauge('tinylink_click_buffer_pending', 'Clicks waiting to be written', {
+  collect: () => (clickBuffer ? clickBuffer.stats().pending_clicks : 0)
+});
+metrics.counter('tinylink_click_flushes_total', 'Click counter batch writes by result', {
+  labels: ['result'],
+  collect: () => {
+    if (!clickBuffer) {
+      return [];
+    }
+    const { flushes, failed_flushes } = clickBuffer.stats();
+    return [
+      { labels: { result: 'ok' }, value: flushes },
+      { labels: { result: 'failed' }, value: failed_flushes }
+    ];
+  }
+});
+
+const startedAt = Date.now();
+metrics.gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch, in seconds', {
+  collect: () => startedAt / 1000
+});
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', {
+  collect: () => process.memoryUsage().rss
+});
+
+// Queue a webhook event without holding up the caller
+function emitLinkEvent(event, link, data) {
+  if (!webhooks) {
+    return;
+  }
+
+  webhooks.emit(event, link, data).catch(err => {
+    logger.error('Error queueing webhook', { event, err });
+  });
+}
+
+// Short code rules, shared with the browser through /slug-rules.js
+const slugRules = Slug.configure({
+  minLength: Number(process.env.SLUG_MIN_LENGTH || 3),
+  maxLength: Number(process.env.SLUG_MAX_LENGTH || 64),
+  reserved: [
+    ...Slug.RESERVED_WORDS,
+    ...(process.env.SLUG_RESERVED_WORDS || '').split(',').map(w => w.trim().toLowerCase()).filter(Boolean)
+  ]
+});
+
+if (!(slugRules.minLength >= 1 && slugRules.minLength <= slugRules.maxLength && slugRules.maxLength <= Slug.HARD_MAX_LENGTH)) {
+  throw new Error(`SLUG_MIN_LENGTH/SLUG_MAX_LENGTH must satisfy 1 <= min <= max <= ${Slug.HARD_MAX_LENGTH}`);
+}
+
+// Validate the optional expires_at / max_clicks fields of a create request
+function parseLinkLimits(body) {
+  const limits = { expires_at: null, max_clicks: null };
+
+  if (body.expires_at !== undefined && body.expires_at !== null && body.expires_at !== '') {
+    const expiresAt = new Date(body.expires_at);
+    if (isNaN(expiresAt.getTime())) {
+      return { error: 'expires_at must be a valid date' };
+    }
+    if (expiresAt <= new Date()) {
+      return { error: 'expires_at must be in the future' };
+    }
+    limits.expires_at = expiresAt;
+  }
+
+  if (body.max_clicks !== undefined && body.max_clicks !== null && body.max_clicks !== '') {
+    const maxClicks = Number(body.max_clicks);
+    if (!Number.isInteger(maxClicks) || maxClicks < 1) {
+      return { error: 'max_clicks must be a positive integer' };
+    }
+    limits.max_clicks = maxClicks;
+  }
+
+  return limits;
+}
+
+const BULK_MAX_ROWS = 1000;
+
+// Give up on generating a free code after this many collisions
+const MAX_CODE_ATTEMPTS = 10;
+
+// Query parameters and sort keys accepted by GET /api/links
+const SORT_KEYS = ['created', 'clicks', 'last_clicked'];
+const LIST_PARAMS = ['page', 'limit', 'sort', 'order', 'q', 'status', 'tag', 'campaign'];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 200;
+const EXPORT_COLUMNS = ['short_code', 'target_url', 'is_enabled', 'total_clicks', 'bot_clicks', 'creation_count', 'last_clicked', 'expires_at', 'max_clicks', 'created_at', 'updated_at', 'forward_query', ...UTM_FIELDS, 'campaign_id', 'tags', 'title', 'description', 'interstitial', 'image_url'];
+
+// Tags and campaigns belong to the link's owner: links without one (created
+// before API keys) can't have them, and the campaign must be the owner's
+async function checkLinkGroups(ownerId, { tags, campaign_id }) {
+  if (ownerId === null && ((tags && tags.length > 0) || campaign_id)) {
+    return 'Links without an owner can\'t be tagged or added to a campaign';
+  }
+  if (campaign_id && !await store.campaigns.find(campaign_id, { ownerId })) {
+    return 'campaign_id does not match any of the link owner\'s campaigns';
+  }
+  return null;
+}
+
+/**
+ * Create a link for the given user, or reuse their existing link for the
+ * same URL. Shared by the single and bulk create routes.
+ * Resolves to { status, link, message } or { status, error, reason }.
+ */
+async function createLink(input, req) {
+  const { target_url, short_code } = input;
+  const { user } = req;
+
+  // Validate URL against the destination policy
+  const destination = checkDestination(target_url || '', { host: req.get('host') });
+  if (!destination.ok) {
+    return { status: 400, error: destination.error, reason: destination.reason };
+  }
+
+  const limits = parseLinkLimits(input);
+  if (limits.error) {
+    return { status: 400, error: limits.error };
+  }
+  const hasLimits = limits.expires_at !== null || limits.max_clicks !== null;
+
+  const utmFields = parseUtmFields(input);
+  if (utmFields.error) {
+    return { status: 400, error: utmFields.error };
+  }
+  const utm = mergeUtm(null, utmFields.changes);
+
+  const forwardQuery = parseFlag('forward_query', input.forward_query);
+  if (forwardQuery.error) {
+    return { status: 400, error: forwardQuery.error };
+  }
+  const forward_query = forwardQuery.value || false;
+
+  const parsedTags = parseTags(input.tags);
+  if (parsedTags.error) {
+    return { status: 400, error: parsedTags.error };
+  }
+  const tags = parsedTags.tags || [];
+
+  const campaignId = parseCampaignId(input.campaign_id);
+  if (campaignId.error) {
+    return { status: 400, error: campaignId.error };
+  }
+  const campaign_id = campaignId.value || null;
+
+  const details = parseLinkDetails(input);
+  if (details.error) {
+    return { status: 400, error: details.error };
+  }
+  const title = details.changes.title || null;
+  const description = details.changes.description || null;
+  const image_url = details.changes.image_url || null;
+
+  const parsedInterstitial = parseFlag('interstitial', input.interstitial);
+  if (parsedInterstitial.error) {
+    return { status: 400, error: parsedInterstitial.error };
+  }
+  const interstitial = parsedInterstitial.value || false;
+
+  const { password } = input;
+  const hasPassword = password !== undefined && password !== null && password !== '';
+  if (hasPassword) {
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return { status: 400, error: passwordError };
+    }
+  }
+
+  // If custom code is provided, validate it
+  const codeError = short_code ? Slug.validateSlug(short_code) : null;
+  if (codeError) {
+    return { status: 400, error: codeError };
+  }
+
+  const groupError = await checkLinkGroups(user.id, { tags, campaign_id });
+  if (groupError) {
+    return { status: 400, error: groupError };
+  }
+
+  const fields = {
+    target_url,
+    owner_id: user.id,
+    ...limits,
+    password_hash: hasPassword ? await hashPassword(password) : null,
+    utm,
+    forward_query,
+    campaign_id,
+    title,
+    description,
+    interstitial,
+    image_url
+  };
+
+  // Tag a new link before announcing it, so webhooks see its tags
+  const finishCreate = async (link) => {
+    if (tags.length > 0) {
+      await store.links.setTags(link.id, user.id, tags);
+      link = await store.links.findByCode(link.short_code);
+    }
+    linksCreatedTotal.inc();
+    emitLinkEvent('link.created', link);
+    if (healthChecker) {
+      healthChecker.checkSoon();
+    }
+    if (metadataFetcher) {
+      metadataFetcher.fetchSoon();
+    }
+    return { status: 201, link };
+  };
+
+  // Create link with custom code
+  if (short_code) {
+    let link;
+    try {
+      link = await store.links.create({ ...fields, short_code });
+    } catch (error) {
+      if (error instanceof CodeExistsError) {
+        return { status: 409, error: 'Code already exists' };
+      }
+      throw error;
+    }
+    return finishCreate(link);
+  }
+
+  // If no custom code, check if the caller already has a link for this URL.
+  // Time-boxed, protected and annotated (UTM, forwarding, tags, campaign,
+  // preview details) links are always created fresh and never reused.
+  const reusable = !hasLimits && !hasPassword && !utm && !forward_query && tags.length === 0 && !campaign_id && !title && !description && !interstitial && !image_url;
+  const existing = reusable ? await store.links.findByTarget(target_url, { ownerId: user.id }) : null;
+
+  if (existing) {
+    // Increment creation count for existing URL
+    const updated = await store.links.incrementCreationCount(existing.id);
+
+    return {
+      status: 200,
+      link: updated,
+      message: 'URL already exists. Creation count incremented.'
+    };
+  }
+
+  // Create new link with auto-generated code. The insert itself claims the
+  // code, so concurrent creates can't both get it; on a collision draw again.
+  for (let attempt = 1; attempt <= MAX_CODE_ATTEMPTS; attempt++) {
+    let link;
+    try {
+      link = await store.links.create({ ...fields, short_code: generateShortCode() });
+    } catch (error) {
+      if (!(error instanceof CodeExistsError)) {
+        throw error;
+      }
+      continue;
+    }
+    return finishCreate(link);
+  }
+
+  throw new Error('Could not generate a unique short code');
+}
+
+// Validate paging, sorting and filter parameters of the list endpoint
+function parseListQuery(query) {
+  // Repeated parameters (?order=a&order=b) arrive as arrays
+  const repeated = LIST_PARAMS.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+  if (repeated) {
+    return { error: `${repeated} must be given once` };
+  }
+
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  const sort = query.sort || 'created';
+  const order = (query.order || 'desc').toLowerCase();
+  const { status } = query;
+
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'page must be a positive integer' };
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+  if (!SORT_KEYS.includes(sort)) {
+    return { error: 'sort must be one of: created, clicks, last_clicked' };
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be "asc" or "desc"' };
+  }
+  if (status && status !== 'active' && status !== 'expired') {
+    return { error: 'status must be "active" or "expired"' };
+  }
+
+  let tag;
+  if (query.tag !== undefined && query.tag !== '') {
+    const parsed = parseTagName(query.tag);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    tag = parsed.name;
+  }
+
+  let campaignId;
+  if (query.campaign === 'none') {
+    campaignId = 'none';
+  } else if (query.campaign !== undefined && query.campaign !== '') {
+    campaignId = parseId(query.campaign);
+    if (!campaignId) {
+      return { error: 'campaign must be a campaign id or "none"' };
+    }
+  }
+
+  return {
+    page,
+    limit,
+    sort,
+    order: order.toUpperCase(),
+    status,
+    tag,
+    campaignId,
+    q: typeof query.q === 'string' ? query.q.trim() : ''
+  };
+}
+
+// The link for a code as typed, from the cache when possible. Entries are
+// keyed by the stored code, so in case-insensitive mode other spellings
+// still read the store (but don't add entries edits couldn't invalidate).
+async function lookupLink(code) {
+  const cached = await linkCache.get(code);
+  if (cached) {
+    return cached;
+  }
+
+  const link = await store.links.findByCode(code, { ignoreCase: caseInsensitiveCodes });
+  if (link) {
+    await linkCache.set(link.short_code, link);
+  }
+  return link;
+}
+
+// Whether a redirect can skip the store: enabled, unprotected links with no
+// click limit that haven't expired. Everything else is checked and counted
+// in one store update, so limits stay exact.
+function isPlainLink(link) {
+  return link.is_enabled && !link.has_password && link.max_clicks === null &&
+    !(link.expires_at && new Date(link.expires_at) <= new Date());
+}
+
+// Send the visitor on to the link's target (or where its routing rules
+// say) and log the click. Bots are redirected too (previews need the page)
+// but don't trigger webhooks.
+function followLink(req, res, link, { bot = false } = {}) {
+  const { target_url, variant } = resolveRoute(link, req);
+  const destination = destinationUrl({ ...link, target_url }, withoutPreviewParam(requestSearch(req)));
+
+  // Preview crawlers get the link's card instead
+  if (isPreviewCrawler(req)) {
+    sendSocialPreview(req, res, link, destination);
+  } else {
+    res.redirect(302, destination);
+    redirectsTotal.inc({ outcome: bot ? 'bot' : 'followed' });
+  }
+
+  // Logged with the next batch, so the redirect isn't held up
+  clickBuffer.log(clickEvent(link.id, req, { bot, variant }));
+
+  if (bot) {
+    return;
+  }
+
+  emitLinkEvent('link.clicked', link, { referrer: req.get('referer') || null, variant });
+
+  // That was the last click this link allows
+  if (link.is_expired && webhooks) {
+    webhooks.sweepExpiredSoon();
+  }
+}
+
+// OpenGraph tags for a link: the creator's title, description and image,
+// falling back to what was fetched from the destination
+function sendSocialPreview(req, res, link, destination) {
+  const og = link.og || {};
+  redirectsTotal.inc({ outcome: 'social_preview' });
+  res.send(socialPreviewPage({
+    url: shortUrlFor(link.short_code, req),
+    destination,
+    title: link.title || og.title || destinationInfo(link.target_url).domain,
+    description: link.description || og.description || null,
+    image: link.image_url || og.image || null
+  }));
+}
+
+// Explain why a link can't be followed right now: disabled, protected (the
+// password form) or expired
+function sendUnavailable(req, res, link) {
+  if (!link.is_enabled) {
+    redirectsTotal.inc({ outcome: 'disabled' });
+    return res.status(403).send(statusPage({
+      title: 'Link Disabled',
+      message: 'This link has been disabled by its owner.'
+    }));
+  }
+
+  if (link.has_password && !link.is_expired) {
+    redirectsTotal.inc({ outcome: 'locked' });
+    return res.send(unlockPage({ code: link.short_code, search: requestSearch(req) }));
+  }
+
+  const reason = link.expires_at && new Date(link.expires_at) <= new Date()
+    ? `This link expired on ${new Date(link.expires_at).toUTCString()}.`
+    : `This link has reached its limit of ${link.max_clicks} clicks.`;
+
+  redirectsTotal.inc({ outcome: 'expired' });
+  return res.status(410).send(statusPage({
+    title: '410 - Link Expired',
+    message: reason
+  }));
+}
+
+// Show where a link goes instead of going there (see lib/preview.js). The
+// preview counts no click; Continue leads back to the short URL with
+// ?preview=0. Protected links only reveal their destination once unlocked.
+async function sendPreview(req, res, cached) {
+  const link = isPlainLink(cached) ? cached : await store.links.findByCode(cached.short_code);
+  if (!link) {
+    redirectsTotal.inc({ outcome: 'not_found' });
+    return res.status(404).send('<h1>404 - Link Not Found</h1>');
+  }
+
+  const code = link.short_code;
+  const locked = link.has_password && !(await isUnlocked(req, code, () => store.links.getPasswordHash(code)));
+  if (!link.is_enabled || link.is_expired || locked) {
+    return sendUnavailable(req, res, link);
+  }
+
+  const search = withoutPreviewParam(requestSearch(req));
+  const continueParams = new URLSearchParams(search);
+  continueParams.set(PREVIEW_PARAM, '0');
+
+  redirectsTotal.inc({ outcome: 'preview' });
+  res.send(previewPage({
+    link,
+    destination: destinationUrl(link, search),
+    info: destinationInfo(link.target_url),
+    continueUrl: `${encodeURI(`/${code}`)}?${continueParams}`
+  }));
+}
+
+// Raw query string of a request, including the "?" (or '' without one)
+function requestSearch(req) {
+  const start = req.originalUrl.indexOf('?');
+  return start === -1 ? '' : req.originalUrl.slice(start);
+}
+
+// Record ids (webhooks, campaigns, tags) are numeric; anything else can't match
+function parseId(value) {
+  return /^\d{1,9}$/.test(value) ? Number(value) : null;
+}
+
+/**
+ * Read bulk-create rows from either a CSV body or a JSON array
+ * (bare, or wrapped as { links: [...] })
+ */
+function parseBulkBody(req) {
+  if (typeof req.body === 'string') {
+    return parseCsv(req.body, ['target_url', 'short_code']);
+  }
+
+  const rows = Array.isArray(req.body) ? req.body : req.body && req.body.links;
+  if (!Array.isArray(rows)) {
+    throw new Error('Expected a JSON array of links or a CSV upload');
+  }
+  if (rows.some(row => !row || typeof row !== 'object')) {
+    throw new Error('Each link must be an object with a target_url');
+  }
+  return rows;
+}
+
+// ============================================
+// ROUTES
+// ============================================
+
+// API: Current user
+app.get('/api/me', (req, res) => {
+  res.json(req.user);
+});
+
+// API: Redirect cache and click buffer counters (admin keys only)
+app.get('/api/stats/redirects', (req, res) => {
+  if (!req.user.is_admin) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  res.json({
+    cache: linkCache.stats(),
+    clicks: clickBuffer ? clickBuffer.stats() : null
+  });
+});
+
+// Health check endpoint: the process is up (see /readyz for dependencies)
+app.get('/healthz', (req, res) => {
+  res.json({ ok: true, version: '1.0' });
+});
+
+// Readiness probe: 503 until the database answers
+app.get('/readyz', async (req, res) => {
+  const readiness = await checkReadiness(store);
+
+  if (!readiness.ok) {
+    req.log.warn('Readiness check failed', { checks: readiness.checks });
+  }
+
+  res.status(readiness.ok ? 200 : 503).json(readiness);
+});
+
+// Prometheus metrics. With METRICS_TOKEN set, scrapers must send it as a
+// bearer token.
+app.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get('authorization') !== `Bearer ${token}`) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+
+  res.type(metrics.contentType).send(metrics.metrics());
+});
+
+// Dashboard page
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Stats page (codes may contain slashes)
+app.get('/code/:code(*)', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'stats.html'));
+});
+
+// Short code rules for the browser copy of public/slug.js
+app.get('/slug-rules.js', (req, res) => {
+  res.type('application/javascript').send(`Slug.configure(${JSON.stringify(slugRules)});\n`);
+});
+
+// API: Create link
+app.post('/api/links', limitCreate, async (req, res) => {
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    const result = await createLink(req.body, req);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, reason: result.reason });
+    }
+
+    res.status(result.status).json(result.message ? { ...result.link, message: result.message } : result.link);
+  } catch (error) {
+    req.log.error('Error creating link', { err: error });
+    
+    // Provide detailed error info (safe for production after debugging)
+    const errorMessage = error.message || 'Internal server error';
+    const isDevelopment = process.env.NODE_ENV !== 'production';
+    
+    res.status(500).json({ 
+      error: 'Failed to create link',
+      message: isDevelopment ? errorMessage : 'Internal server error',
+      details: isDevelopment ? error.toString() : undefined
+    });
+  }
+});
+
+// API: Bulk create links from a JSON array or CSV (target_url, short_code, ...)
+app.post('/api/links/bulk', limitCreate, express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+  let rows;
+  try {
+    rows = parseBulkBody(req);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (rows.length === 0) {
+    return res.status(400).json({ error: 'No links provided' });
+  }
+
+  if (rows.length > BULK_MAX_ROWS) {
+    return res.status(400).json({ error: `At most ${BULK_MAX_ROWS} links per request` });
+  }
+
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  const results = [];
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    let result;
+
+    try {
+      result = await createLink(row, req);
+    } catch (error) {
+      req.log.error('Error creating link in bulk row', { row: i + 1, err: error });
+      result = { status: 500, error: 'Failed to create link' };
+    }
+
+    results.push({
+      row: i + 1,
+      status: result.status,
+      target_url: row.target_url,
+      short_code: result.link ? result.link.short_code : row.short_code || null,
+      error: result.error,
+      reason: result.reason
+    });
+  }
+
+  res.json({
+    created: results.filter(r => r.status === 201).length,
+    existing: results.filter(r => r.status === 200).length,
+    failed: results.filter(r => r.status >= 400).length,
+    results
+  });
+});
+
+// API: Export links with their counters (?format=csv|json)
+app.get('/api/links/export', async (req, res) => {
+  const format = req.query.format || 'json';
+
+  if (format !== 'csv' && format !== 'json') {
+    return res.status(400).json({ error: 'format must be "csv" or "json"' });
+  }
+
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    const { links } = await store.links.list({ ownerId: ownerScope(req.user) });
+
+    const filename = `tinylink-links-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+      // UTM fields get a column each and tags are comma-separated, matching
+      // what bulk import accepts
+      const rows = links.map(link => ({ ...link, ...link.utm, tags: link.tags.join(',') }));
+      return res.type('text/csv').send(toCsv(rows, EXPORT_COLUMNS));
+    }
+
+    res.json(links);
+  } catch (error) {
+    req.log.error('Error exporting links', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// API: List links, one page at a time
+// ?page=&limit=&sort=created|clicks|last_clicked&order=asc|desc&q=&status=active|expired
+// &tag=<name>&campaign=<id>|none
+app.get('/api/links', async (req, res) => {
+  try {
+    const options = parseListQuery(req.query);
+
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    if (!store) {
+      return res.json({ links: [], total: 0, page: options.page, limit: options.limit, pages: 0 });
+    }
+
+    const { links, total } = await store.links.list({
+      ownerId: ownerScope(req.user),
+      status: options.status,
+      q: options.q,
+      tag: options.tag,
+      campaignId: options.campaignId,
+      sort: options.sort,
+      order: options.order,
+      limit: options.limit,
+      offset: (options.page - 1) * options.limit
+    });
+
+    res.json({
+      links,
+      total,
+      page: options.page,
+      limit: options.limit,
+      pages: Math.ceil(total / options.limit)
+    });
+  } catch (error) {
+    req.log.error('Error fetching links', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// API: Get link stats
+app.get('/api/links/:code', async (req, res) => {
+  const { code } = req.params;
+
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    const link = await store.links.findByCode(code, { ownerId: ownerScope(req.user) });
+
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    res.json(link);
+  } catch (error) {
+    req.log.error('Error fetching stats', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// API: Update link (target URL, short code, enabled state, password, UTM
+// fields, query forwarding, tags, campaign, title, description, image and/or
+// interstitial; a null or empty password, UTM field, campaign_id, title,
+// description or image_url removes it, and tags replaces all of them)
+app.patch('/api/links/:code', async (req, res) => {
+  const { code } = req.params;
+  const { target_url, short_code, is_enabled, password } = req.body;
+
+  const utmFields = parseUtmFields(req.body);
+  if (utmFields.error) {
+    return res.status(400).json({ error: utmFields.error });
+  }
+  const utmChanged = Object.keys(utmFields.changes).length > 0;
+
+  const forwardQuery = parseFlag('forward_query', req.body.forward_query);
+  if (forwardQuery.error) {
+    return res.status(400).json({ error: forwardQuery.error });
+  }
+  const forward_query = forwardQuery.value;
+
+  const { tags, error: tagsError } = parseTags(req.body.tags);
+  if (tagsError) {
+    return res.status(400).json({ error: tagsError });
+  }
+
+  const campaignId = parseCampaignId(req.body.campaign_id);
+  if (campaignId.error) {
+    return res.status(400).json({ error: campaignId.error });
+  }
+  const campaign_id = campaignId.value;
+
+  const details = parseLinkDetails(req.body);
+  if (details.error) {
+    return res.status(400).json({ error: details.error });
+  }
+  const { title, description, image_url } = details.changes;
+
+  const parsedInterstitial = parseFlag('interstitial', req.body.interstitial);
+  if (parsedInterstitial.error) {
+    return res.status(400).json({ error: parsedInterstitial.error });
+  }
+  const interstitial = parsedInterstitial.value;
+
+  if (target_url === undefined && short_code === undefined && is_enabled === undefined && password === undefined && !utmChanged && forward_query === undefined && tags === undefined && campaign_id === undefined && title === undefined && description === undefined && interstitial === undefined && image_url === undefined) {
+    return res.status(400).json({ error: 'Nothing to update: provide target_url, short_code, is_enabled, password, forward_query, tags, campaign_id, title, description, interstitial, image_url or utm_* fields' });
+  }
+
+  if (target_url !== undefined) {
+    const destination = checkDestination(target_url, { host: req.get('host') });
+    if (!destination.ok) {
+      return res.status(400).json({ error: destination.error, reason: destination.reason });
+    }
+  }
+
+  // Keeping the current code is fine even if it predates the current rules
+  const codeError = short_code !== undefined && short_code !== code ? Slug.validateSlug(short_code) : null;
+  if (codeError) {
+    return res.status(400).json({ error: codeError });
+  }
+
+  if (is_enabled !== undefined && typeof is_enabled !== 'boolean') {
+    return res.status(400).json({ error: 'is_enabled must be true or false' });
+  }
+
+  const clearPassword = password === null || password === '';
+  if (password !== undefined && !clearPassword) {
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+  }
+
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    let password_hash;
+    if (password !== undefined) {
+      password_hash = clearPassword ? null : await hashPassword(password);
+    }
+
+    // UTM fields not mentioned are kept; tags and campaigns are checked
+    // against the link's owner
+    let utm;
+    let current;
+    if (utmChanged || tags !== undefined || campaign_id !== undefined) {
+      current = await store.links.findByCode(code, { ownerId: ownerScope(req.user) });
+      if (!current) {
+        return res.status(404).json({ error: 'Link not found' });
+      }
+      if (utmChanged) {
+        utm = mergeUtm(current.utm, utmFields.changes);
+      }
+
+      const groupError = await checkLinkGroups(current.owner_id, { tags, campaign_id });
+      if (groupError) {
+        return res.status(400).json({ error: groupError });
+      }
+    }
+
+    let link = await store.links.update(
+      code,
+      { target_url, short_code, is_enabled, password_hash, utm, forward_query, campaign_id, title, description, interstitial, image_url },
+      { ownerId: ownerScope(req.user) }
+    );
+
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    await linkCache.invalidate(code, link.short_code);
+
+    // A new destination has no health status or metadata until it is
+    // checked and fetched
+    if (target_url !== undefined && link.health_status === null && healthChecker) {
+      healthChecker.checkSoon();
+    }
+    if (target_url !== undefined && link.og === null && metadataFetcher) {
+      metadataFetcher.fetchSoon();
+    }
+
+    if (tags !== undefined) {
+      await store.links.setTags(link.id, current.owner_id, tags);
+      link = await store.links.findByCode(link.short_code);
+    }
+
+    res.json(link);
+  } catch (error) {
+    if (error instanceof CodeExistsError) {
+      return res.status(409).json({ error: 'Code already exists' });
+    }
+
+    req.log.error('Error updating link', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// API: Get click time series for a link
+app.get('/api/links/:code/clicks', async (req, res) => {
+  const { code } = req.params;
+
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  const range = parseClickRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  try {
+    const link = await store.links.findByCode(code, { ownerId: ownerScope(req.user) });
+
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    const buckets = await getClickSeries(store, link.id, range);
+
+    res.json({
+      short_code: link.short_code,
+      interval: range.interval,
+      from: range.from,
+      to: range.to,
+      total: buckets.reduce((sum, b) => sum + b.count, 0),
+      buckets
+    });
+  } catch (error) {
+    req.log.error('Error fetching click series', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// API: Top countries, devices, browsers, operating systems and referrers
+// for a link (?limit= rows per table)
+app.get('/api/links/:code/breakdown', async (req, res) => {
+  const { code } = req.params;
+
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  const { limit, error: limitError } = parseBreakdownLimit(req.query);
+  if (limitError) {
+    return res.status(400).json({ error: limitError });
+  }
+
+  try {
+    const link = await store.links.findByCode(code, { ownerId: ownerScope(req.user) });
+
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    const breakdown = await store.clicks.breakdown(link.id, { limit });
+
+    res.json({
+      short_code: link.short_code,
+      limit,
+      ...breakdown
+    });
+  } catch (error) {
+    req.log.error('Error fetching click breakdown', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// API: Health of a link's destination: the latest status and the most
+// recent checks, newest first (?limit=)
+app.get('/api/links/:code/health', async (req, res) => {
+  const { code } = req.params;
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_PAGE_SIZE}` });
+  }
+
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    const link = await store.links.findByCode(code, { ownerId: ownerScope(req.user) });
+
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    res.json({
+      short_code: link.short_code,
+      target_url: link.target_url,
+      status: link.health_status,
+      checked_at: link.health_checked_at,
+      checks: await store.linkChecks.list(link.id, { limit })
+    });
+  } catch (error) {
+    req.log.error('Error fetching link health', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// API: Routing rules of a link, with human clicks per rule/variant label
+// (variant null: clicks that went to the link's own target_url)
+app.get('/api/links/:code/rules', async (req, res) => {
+  const { code } = req.params;
+
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    const link = await store.links.findByCode(code, { ownerId: ownerScope(req.user) });
+
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    res.json({
+      short_code: link.short_code,
+      rules: link.rules || [],
+      clicks: await store.clicks.variants(link.id)
+    });
+  } catch (error) {
+    req.log.error('Error fetching routing rules', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// API: Replace a link's routing rules ({ "rules": [...] }; [] removes them).
+// See lib/routing.js for the rule format.
+app.put('/api/links/:code/rules', async (req, res) => {
+  const { code } = req.params;
+
+  const parsed = parseRules(req.body.rules, {
+    checkUrl: url => {
+      const destination = checkDestination(url, { host: req.get('host') });
+      return destination.ok ? null : destination.error;
+    }
+  });
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    const link = await store.links.update(code, { rules: parsed.rules }, { ownerId: ownerScope(req.user) });
+
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    await linkCache.invalidate(link.short_code);
+
+    res.json({
+      short_code: link.short_code,
+      rules: link.rules || [],
+      clicks: await store.clicks.variants(link.id)
+    });
+  } catch (error) {
+    req.log.error('Error updating routing rules', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// API: QR code for a link's short URL (?format=png|svg&size=&ecc=L|M|Q|H&margin=)
+app.get('/api/links/:code/qr', async (req, res) => {
+  const { code } = req.params;
+
+  try {
+    const options = parseQrOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    if (!store) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const link = await store.links.findByCode(code, { ownerId: ownerScope(req.user) });
+
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    const { contentType, body } = await renderQr(shortUrlFor(link.short_code, req), options);
+
+    res.type(contentType).send(body);
+  } catch (error) {
+    req.log.error('Error generating QR code', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// API: Delete link
+app.delete('/api/links/:code', async (req, res) => {
+  const { code } = req.params;
+
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    const deleted = await store.links.delete(code, { ownerId: ownerScope(req.user) });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    await linkCache.invalidate(deleted.short_code);
+    emitLinkEvent('link.deleted', deleted);
+
+    res.json({ message: 'Link deleted successfully' });
+  } catch (error) {
+    req.log.error('Error deleting link', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// API: Links whose destination failed its latest health check, most
+// recently checked first (?status=client_error|server_error|unreachable
+// &page=&limit=)
+app.get('/api/reports/broken', async (req, res) => {
+  const page = req.query.page === undefined ? 1 : Number(req.query.page);
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+  const { status } = req.query;
 
-function generateShortCode() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  const length = Math.floor(Math.random() * 3) + 6; // 6-8 characters
-  let code = '';
-  for (let i = 0; i < length; i++) {
-    code += chars.charAt(Math.floor(Math.random() * chars.length));
+  if (!Number.isInteger(page) || page < 1) {
+    return res.status(400).json({ error: 'page must be a positive integer' });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_PAGE_SIZE}` });
+  }
+  if (status !== undefined && !BROKEN_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${BROKEN_STATUSES.join(', ')}` });
+  }
+
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
   }
-  return code;
-}
 
-function isValidUrl(url) {
   try {
-    new URL(url);
-    return true;
+    const { links, total } = await store.linkChecks.broken({
+      statuses: status ? [status] : BROKEN_STATUSES,
+      ownerId: ownerScope(req.user),
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      links,
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    });
   } catch (error) {
-    return false;
+    req.log.error('Error fetching broken links report', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
   }
-}
+});
 
-function isValidCode(code) {
-  const regex = /^[A-Za-z0-9]{6,8}$/;
-  return regex.test(code);
-}
+// API: List webhooks
+app.get('/api/webhooks', async (req, res) => {
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
 
-// ============================================
-// ROUTES
-// ============================================
+  try {
+    res.json(await store.webhooks.list({ ownerId: ownerScope(req.user) }));
+  } catch (error) {
+    req.log.error('Error fetching webhooks', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-// Health check endpoint
-app.get('/healthz', (req, res) => {
-  res.json({ ok: true, version: '1.0' });
+// API: Create webhook. The signing secret is only returned in this response.
+app.post('/api/webhooks', async (req, res) => {
+  const { url, secret } = req.body;
+
+  const destination = checkWebhookUrl(url || '');
+  if (!destination.ok) {
+    return res.status(400).json({ error: destination.error, reason: destination.reason });
+  }
+
+  const parsed = parseEvents(req.body.events);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  if (secret !== undefined) {
+    const secretError = validateSecret(secret);
+    if (secretError) {
+      return res.status(400).json({ error: secretError });
+    }
+  }
+
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    const webhook = await store.webhooks.create({
+      owner_id: req.user.id,
+      url,
+      secret: secret || generateSecret(),
+      events: parsed.events
+    });
+    webhooks.subscribersChanged();
+
+    res.status(201).json(webhook);
+  } catch (error) {
+    req.log.error('Error creating webhook', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-// Dashboard page
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+// API: Get webhook
+app.get('/api/webhooks/:id', async (req, res) => {
+  const id = parseId(req.params.id);
+
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    const webhook = id && await store.webhooks.find(id, { ownerId: ownerScope(req.user) });
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json(webhook);
+  } catch (error) {
+    req.log.error('Error fetching webhook', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-// Stats page
-app.get('/code/:code', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'stats.html'));
+// API: Update webhook (url, events and/or enabled state)
+app.patch('/api/webhooks/:id', async (req, res) => {
+  const id = parseId(req.params.id);
+  const { url, is_enabled } = req.body;
+  let { events } = req.body;
+
+  if (url === undefined && events === undefined && is_enabled === undefined) {
+    return res.status(400).json({ error: 'Nothing to update: provide url, events or is_enabled' });
+  }
+
+  if (url !== undefined) {
+    const destination = checkWebhookUrl(url);
+    if (!destination.ok) {
+      return res.status(400).json({ error: destination.error, reason: destination.reason });
+    }
+  }
+
+  if (events !== undefined) {
+    const parsed = parseEvents(events);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    events = parsed.events;
+  }
+
+  if (is_enabled !== undefined && typeof is_enabled !== 'boolean') {
+    return res.status(400).json({ error: 'is_enabled must be true or false' });
+  }
+
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    const webhook = id && await store.webhooks.update(id, { url, events, is_enabled }, { ownerId: ownerScope(req.user) });
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    webhooks.subscribersChanged();
+
+    res.json(webhook);
+  } catch (error) {
+    req.log.error('Error updating webhook', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-// API: Create link
-app.post('/api/links', async (req, res) => {
-  const { target_url, short_code } = req.body;
+// API: Delete webhook (and its delivery log)
+app.delete('/api/webhooks/:id', async (req, res) => {
+  const id = parseId(req.params.id);
+
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    const deleted = id && await store.webhooks.delete(id, { ownerId: ownerScope(req.user) });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    webhooks.subscribersChanged();
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    req.log.error('Error deleting webhook', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-  // Validate URL
-  if (!target_url || !isValidUrl(target_url)) {
-    return res.status(400).json({ error: 'Invalid URL' });
+// API: Delivery log for a webhook, newest first (?page=&limit=)
+app.get('/api/webhooks/:id/deliveries', async (req, res) => {
+  const id = parseId(req.params.id);
+  const page = req.query.page === undefined ? 1 : Number(req.query.page);
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+
+  if (!Number.isInteger(page) || page < 1) {
+    return res.status(400).json({ error: 'page must be a positive integer' });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_PAGE_SIZE}` });
   }
 
-  if (!pool) {
+  if (!store) {
     return res.status(503).json({ error: 'Database not available' });
   }
 
   try {
-    // If custom code is provided, validate it
-    if (short_code && !isValidCode(short_code)) {
-      return res.status(400).json({ error: 'Code must be 6-8 alphanumeric characters' });
+    const webhook = id && await store.webhooks.find(id, { ownerId: ownerScope(req.user) });
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
     }
 
-    // If custom code is provided, check if it exists
-    if (short_code) {
-      const existing = await pool.query(
-        'SELECT id, target_url, total_clicks, creation_count, last_clicked, created_at, updated_at FROM links WHERE short_code = $1',
-        [short_code]
-      );
+    const { deliveries, total } = await store.deliveries.list(webhook.id, {
+      limit,
+      offset: (page - 1) * limit
+    });
 
-      if (existing.rows.length > 0) {
-        return res.status(409).json({ error: 'Code already exists' });
-      }
+    res.json({
+      deliveries: deliveries.map(d => ({ ...d, payload: JSON.parse(d.payload) })),
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    req.log.error('Error fetching webhook deliveries', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// API: List campaigns with their link counts and click totals
+app.get('/api/campaigns', async (req, res) => {
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    res.json(await store.campaigns.list({ ownerId: ownerScope(req.user) }));
+  } catch (error) {
+    req.log.error('Error fetching campaigns', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// API: Create campaign (name, optional description)
+app.post('/api/campaigns', async (req, res) => {
+  const parsed = parseCampaignFields(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
 
-      // Create link with custom code
-      const result = await pool.query(
-        'INSERT INTO links (short_code, target_url, total_clicks, creation_count, created_at, updated_at) VALUES ($1, $2, $3, $4, NOW(), NOW()) RETURNING id, short_code, target_url, total_clicks, creation_count, last_clicked, created_at, updated_at',
-        [short_code, target_url, 0, 1]
-      );
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
 
-      return res.status(201).json(result.rows[0]);
+  try {
+    const campaign = await store.campaigns.create({ owner_id: req.user.id, ...parsed.fields });
+    res.status(201).json(campaign);
+  } catch (error) {
+    if (error instanceof NameExistsError) {
+      return res.status(409).json({ error: error.message });
     }
 
-    // If no custom code, check if target URL already exists
-    const existingUrl = await pool.query(
-      'SELECT id, short_code, target_url, total_clicks, creation_count, last_clicked, created_at, updated_at FROM links WHERE target_url = $1',
-      [target_url]
-    );
+    req.log.error('Error creating campaign', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    if (existingUrl.rows.length > 0) {
-      // Increment creation count for existing URL
-      const updated = await pool.query(
-        'UPDATE links SET creation_count = creation_count + 1, updated_at = NOW() WHERE id = $1 RETURNING id, short_code, target_url, total_clicks, creation_count, last_clicked, created_at, updated_at',
-        [existingUrl.rows[0].id]
-      );
-      
-      return res.status(200).json({
-        ...updated.rows[0],
-        message: 'URL already exists. Creation count incremented.'
-      });
-    }
-
-    // Create new link with auto-generated code
-    let code = generateShortCode();
-    
-    // Ensure generated code is unique
-    let codeExists = true;
-    while (codeExists) {
-      const codeCheck = await pool.query(
-        'SELECT id FROM links WHERE short_code = $1',
-        [code]
-      );
-      if (codeCheck.rows.length === 0) {
-        codeExists = false;
-      } else {
-        code = generateShortCode();
-      }
+// API: Get campaign with its click totals (its links are listed by
+// GET /api/links?campaign=<id>)
+app.get('/api/campaigns/:id', async (req, res) => {
+  const id = parseId(req.params.id);
+
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    const campaign = id && await store.campaigns.find(id, { ownerId: ownerScope(req.user) });
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
     }
 
-    const result = await pool.query(
-      'INSERT INTO links (short_code, target_url, total_clicks, creation_count, created_at, updated_at) VALUES ($1, $2, $3, $4, NOW(), NOW()) RETURNING id, short_code, target_url, total_clicks, creation_count, last_clicked, created_at, updated_at',
-      [code, target_url, 0, 1]
-    );
+    res.json(campaign);
+  } catch (error) {
+    req.log.error('Error fetching campaign', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// API: Update campaign (name and/or description; null removes the description)
+app.patch('/api/campaigns/:id', async (req, res) => {
+  const id = parseId(req.params.id);
+
+  const parsed = parseCampaignFields(req.body, { partial: true });
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  if (Object.keys(parsed.fields).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update: provide name or description' });
+  }
+
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    const campaign = id && await store.campaigns.update(id, parsed.fields, { ownerId: ownerScope(req.user) });
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
 
-    res.status(201).json(result.rows[0]);
+    res.json(campaign);
   } catch (error) {
-    console.error('Error creating link:', error);
-    
-    // Provide detailed error info (safe for production after debugging)
-    const errorMessage = error.message || 'Internal server error';
-    const isDevelopment = process.env.NODE_ENV !== 'production';
-    
-    res.status(500).json({ 
-      error: 'Failed to create link',
-      message: isDevelopment ? errorMessage : 'Internal server error',
-      details: isDevelopment ? error.toString() : undefined
-    });
+    if (error instanceof NameExistsError) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    req.log.error('Error updating campaign', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// API: List all links
-app.get('/api/links', async (req, res) => {
-  if (!pool) {
-    return res.json([]);
+// API: Delete campaign (its links are kept, outside any campaign)
+app.delete('/api/campaigns/:id', async (req, res) => {
+  const id = parseId(req.params.id);
+
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
   }
 
   try {
-    const result = await pool.query(
-      'SELECT * FROM links ORDER BY created_at DESC'
-    );
-    res.json(result.rows);
+    const deleted = id && await store.campaigns.delete(id, { ownerId: ownerScope(req.user) });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.json({ message: 'Campaign deleted successfully' });
   } catch (error) {
-    console.error('Error fetching links:', error);
+    req.log.error('Error deleting campaign', { err: error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// API: Get link stats
-app.get('/api/links/:code', async (req, res) => {
-  const { code } = req.params;
+// API: List tags with the number of links carrying each
+app.get('/api/tags', async (req, res) => {
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    res.json(await store.tags.list({ ownerId: ownerScope(req.user) }));
+  } catch (error) {
+    req.log.error('Error fetching tags', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-  if (!pool) {
+// API: Create tag (tags are also created by tagging a link)
+app.post('/api/tags', async (req, res) => {
+  const parsed = parseTagName(req.body.name);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  if (!store) {
     return res.status(503).json({ error: 'Database not available' });
   }
 
   try {
-    const result = await pool.query(
-      'SELECT * FROM links WHERE short_code = $1',
-      [code]
-    );
+    const tag = await store.tags.create({ owner_id: req.user.id, name: parsed.name });
+    res.status(201).json(tag);
+  } catch (error) {
+    if (error instanceof NameExistsError) {
+      return res.status(409).json({ error: error.message });
+    }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Link not found' });
+    req.log.error('Error creating tag', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// API: Rename tag (on every link carrying it)
+app.patch('/api/tags/:id', async (req, res) => {
+  const id = parseId(req.params.id);
+
+  const parsed = parseTagName(req.body.name);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  if (!store) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+
+  try {
+    const tag = id && await store.tags.update(id, { name: parsed.name }, { ownerId: ownerScope(req.user) });
+
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
     }
 
-    res.json(result.rows[0]);
+    res.json(tag);
   } catch (error) {
-    console.error('Error fetching stats:', error);
+    if (error instanceof NameExistsError) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    req.log.error('Error updating tag', { err: error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// API: Delete link
-app.delete('/api/links/:code', async (req, res) => {
-  const { code } = req.params;
+// API: Delete tag (removing it from its links)
+app.delete('/api/tags/:id', async (req, res) => {
+  const id = parseId(req.params.id);
 
-  if (!pool) {
+  if (!store) {
     return res.status(503).json({ error: 'Database not available' });
   }
 
   try {
-    const result = await pool.query(
-      'DELETE FROM links WHERE short_code = $1 RETURNING *',
-      [code]
-    );
+    const deleted = id && await store.tags.delete(id, { ownerId: ownerScope(req.user) });
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Link not found' });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Tag not found' });
     }
 
-    res.json({ message: 'Link deleted successfully' });
+    res.json({ message: 'Tag deleted successfully' });
   } catch (error) {
-    console.error('Error deleting link:', error);
+    req.log.error('Error deleting tag', { err: error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Redirect to original URL
-app.get('/:code', async (req, res) => {
-  const { code } = req.params;
+// Redirect to original URL. Codes may contain slashes (docs/onboarding);
+// paths that can't be a code fall through to the 404 handler. A trailing
+// "+", ?preview=1 or the link's interstitial flag show the preview page
+// instead; link preview crawlers get a page with the link's OpenGraph tags.
+app.get('/:code(*)', limitRedirect, async (req, res, next) => {
+  const { code: requested, preview } = previewRequest(req.params.code, req.query);
+  if (!Slug.hasSlugFormat(requested)) {
+    return next();
+  }
+
+  if (!store) {
+    return res.status(503).send('Database not available');
+  }
 
   try {
-    const result = await pool.query(
-      'UPDATE links SET total_clicks = total_clicks + 1, last_clicked = NOW() WHERE short_code = $1 RETURNING *',
-      [code]
-    );
+    const crawler = isPreviewCrawler(req);
+    const bot = crawler || detectBot(req) !== null;
 
-    if (result.rows.length === 0) {
+    const cached = await lookupLink(requested);
+    if (!cached) {
+      redirectsTotal.inc({ outcome: 'not_found' });
       return res.status(404).send('<h1>404 - Link Not Found</h1>');
     }
 
-    const link = result.rows[0];
-    res.redirect(302, link.target_url);
+    // Crawlers skip the interstitial page to get the link's card
+    if (preview || (preview === null && cached.interstitial && !crawler)) {
+      return await sendPreview(req, res, cached);
+    }
+
+    if (isPlainLink(cached)) {
+      clickBuffer.add(cached.id, { bot });
+      return followLink(req, res, cached, { bot });
+    }
+
+    const code = cached.short_code;
+
+    // Only counts the click while the link is enabled and not expired, and
+    // for protected links once the visitor has unlocked them. Bot hits are
+    // counted separately.
+    const unlocked = await isUnlocked(req, code, () => store.links.getPasswordHash(code));
+    const link = await store.links.incrementClicks(code, { unlocked, bot });
+
+    if (!link) {
+      const existing = await store.links.findByCode(code);
+
+      if (!existing) {
+        redirectsTotal.inc({ outcome: 'not_found' });
+        return res.status(404).send('<h1>404 - Link Not Found</h1>');
+      }
+
+      return sendUnavailable(req, res, existing);
+    }
+
+    followLink(req, res, link, { bot });
+  } catch (error) {
+    redirectsTotal.inc({ outcome: 'error' });
+    req.log.error('Error redirecting', { err: error });
+    res.status(500).send('Internal server error');
+  }
+});
+
+// Unlock a password-protected link
+app.post('/:code(*)', limitUnlock, async (req, res, next) => {
+  if (!Slug.hasSlugFormat(req.params.code)) {
+    return next();
+  }
+
+  if (!store) {
+    return res.status(503).send('Database not available');
+  }
+
+  try {
+    const code = await canonicalCode(req.params.code);
+
+    const passwordHash = await store.links.getPasswordHash(code);
+
+    // Not (or no longer) protected: let the GET handler explain
+    if (!passwordHash) {
+      return res.redirect(303, encodeURI(`/${code}`) + requestSearch(req));
+    }
+
+    const password = typeof req.body.password === 'string' ? req.body.password : '';
+    if (!(await verifyPassword(password, passwordHash))) {
+      return res.status(401).send(unlockPage({ code, search: requestSearch(req), error: 'Incorrect password' }));
+    }
+
+    if (req.body.remember) {
+      const cookie = unlockCookie(code, passwordHash, req);
+      res.cookie(cookie.name, cookie.value, cookie.options);
+    }
+
+    const link = await store.links.incrementClicks(code, { unlocked: true });
+
+    // Disabled or expired since the form was shown
+    if (!link) {
+      return res.redirect(303, encodeURI(`/${code}`) + requestSearch(req));
+    }
+
+    followLink(req, res, link);
   } catch (error) {
-    console.error('Error redirecting:', error);
+    req.log.error('Error unlocking link', { err: error });
     res.status(500).send('Internal server error');
   }
 });
@@ -263,27 +1851,74 @@ app.use((req, res) => {
 // START SERVER
 // ============================================
 
-(async () => {
+// Prepare the store, start the background workers and listen. Requiring this
+// file (as the tests do) only builds the app.
+async function start() {
   try {
     // Initialize database
     await initDb();
 
+    // The in-memory store starts empty, so hand out a key to get going
+    if (store && store.backend === 'memory') {
+      const { key } = await issueApiKey(store, 'admin', { admin: true, label: 'in-memory dev key' });
+      logger.warn('Using in-memory storage - data is lost on restart', { admin_api_key: key });
+    }
+
+    // Deliver queued webhooks, write click counters, check destinations and
+    // fetch their metadata in the background
+    if (webhooks) {
+      webhooks.start();
+    }
+    if (clickBuffer) {
+      clickBuffer.start();
+    }
+    if (healthChecker) {
+      healthChecker.start();
+    }
+    if (metadataFetcher) {
+      metadataFetcher.start();
+    }
+
     // Start server
-    app.listen(PORT, () => {
-      console.log(`
-    ╔════════════════════════════════════════╗
-    ║   TinyLink - URL Shortener Started     ║
-    ║                                        ║
-    ║   Server running at:                   ║
-    ║   http://localhost:${PORT}              ║
-    ║                                        ║
-    ║   Dashboard: http://localhost:${PORT}/   ║
-    ║   Health: http://localhost:${PORT}/healthz   ║
-    ╚════════════════════════════════════════╝
-      `);
+    const server = app.listen(PORT, () => {
+      logger.info('TinyLink started', { port: Number(PORT), url: `http://localhost:${PORT}` });
     });
+
+    // Write buffered click counts before exiting
+    const shutdown = async signal => {
+      logger.info('Shutting down', { signal });
+      server.close();
+      try {
+        if (webhooks) {
+          webhooks.stop();
+        }
+        if (healthChecker) {
+          healthChecker.stop();
+        }
+        if (metadataFetcher) {
+          metadataFetcher.stop();
+        }
+        if (clickBuffer) {
+          await clickBuffer.stop();
+        }
+        if (store) {
+          await store.close();
+        }
+      } catch (error) {
+        logger.error('Error during shutdown', { err: error });
+      }
+      process.exit(0);
+    };
+    process.once('SIGTERM', shutdown);
+    process.once('SIGINT', shutdown);
   } catch (error) {
-    console.error('Failed to start server:', error);
+    logger.error('Failed to start server', { err: error });
     process.exit(1);
   }
-})();
+}
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = app;
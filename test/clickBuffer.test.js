@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createClickBuffer } = require('../lib/clickBuffer');
+const createMemoryStore = require('../db/store/memory');
+
+function event(linkId, variant = null) {
+  return { link_id: linkId, clicked_at: new Date(), referrer: null, user_agent: null, ip_bucket: null, is_bot: false, variant };
+}
+
+describe('click buffer', () => {
+  it('writes counts and events in one flush', async () => {
+    const store = createMemoryStore();
+    const link = await store.links.create({ short_code: 'buffered', target_url: 'https://example.com/' });
+    const buffer = createClickBuffer(store, { flushMs: 60 * 1000 });
+
+    buffer.add(link.id);
+    buffer.add(link.id, { bot: true });
+    buffer.log(event(link.id, 'a'));
+    buffer.log(event(link.id, 'a'));
+
+    assert.equal((await store.links.findByCode('buffered')).total_clicks, 0);
+    assert.deepEqual(await store.clicks.variants(link.id), []);
+
+    await buffer.flush();
+
+    const stored = await store.links.findByCode('buffered');
+    assert.equal(stored.total_clicks, 1);
+    assert.equal(stored.bot_clicks, 1);
+    assert.deepEqual(await store.clicks.variants(link.id), [{ variant: 'a', count: 2 }]);
+    assert.equal(buffer.stats().flushed_events, 2);
+    assert.equal(buffer.stats().pending_events, 0);
+  });
+
+  it('flushes early once enough events are pending', async () => {
+    const store = createMemoryStore();
+    const link = await store.links.create({ short_code: 'early', target_url: 'https://example.com/' });
+    const buffer = createClickBuffer(store, { flushMs: 60 * 1000, maxPending: 2 });
+
+    buffer.log(event(link.id));
+    assert.equal(buffer.stats().flushes, 0);
+    buffer.log(event(link.id));
+    await buffer.flush();
+
+    assert.equal(buffer.stats().flushed_events, 2);
+  });
+
+  it('skips events of links deleted before the flush', async () => {
+    const store = createMemoryStore();
+    const kept = await store.links.create({ short_code: 'kept', target_url: 'https://example.com/' });
+    const deleted = await store.links.create({ short_code: 'deleted', target_url: 'https://example.com/' });
+    const buffer = createClickBuffer(store, { flushMs: 60 * 1000 });
+
+    buffer.log(event(deleted.id));
+    buffer.log(event(kept.id));
+    await store.links.delete('deleted');
+    await buffer.flush();
+
+    assert.equal(buffer.stats().failed_flushes, 0);
+    assert.equal(buffer.stats().pending_events, 0);
+    assert.deepEqual(await store.clicks.variants(kept.id), [{ variant: null, count: 1 }]);
+
+    buffer.log(event(kept.id));
+    await buffer.flush();
+    assert.deepEqual(await store.clicks.variants(kept.id), [{ variant: null, count: 2 }]);
+  });
+
+  it('keeps failed events for the retry, up to maxEvents', async () => {
+    const store = createMemoryStore();
+    const link = await store.links.create({ short_code: 'retry', target_url: 'https://example.com/' });
+    const recordMany = store.clicks.recordMany;
+    store.clicks.recordMany = async () => {
+      throw new Error('database down');
+    };
+    const buffer = createClickBuffer(store, { flushMs: 60 * 1000, maxEvents: 2 });
+
+    buffer.add(link.id);
+    for (let i = 0; i < 3; i++) {
+      buffer.log(event(link.id));
+    }
+    await buffer.flush();
+
+    assert.equal(buffer.stats().failed_flushes, 1);
+    assert.equal(buffer.stats().pending_events, 2);
+    assert.equal(buffer.stats().dropped_events, 1);
+    assert.equal((await store.links.findByCode('retry')).total_clicks, 1);
+
+    store.clicks.recordMany = recordMany;
+    await buffer.flush();
+
+    assert.equal(buffer.stats().pending_events, 0);
+    assert.equal(buffer.stats().pending_clicks, 0);
+    assert.equal((await store.links.findByCode('retry')).total_clicks, 1);
+    assert.deepEqual(await store.clicks.variants(link.id), [{ variant: null, count: 2 }]);
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { probeDestination, createHealthChecker } = require('../lib/linkHealth');
+const { createOutboundClient } = require('../lib/outbound');
+const createMemoryStore = require('../db/store/memory');
+
+// Stub destinations on localhost, so checks need private addresses allowed
+function startStub() {
+  const server = http.createServer((req, res) => {
+    switch (req.url) {
+      case '/ok':
+        return res.end('ok');
+      case '/gone':
+        res.statusCode = 404;
+        return res.end();
+      case '/down':
+        res.statusCode = 503;
+        return res.end();
+      case '/no-head':
+        res.statusCode = req.method === 'HEAD' ? 405 : 200;
+        return res.end();
+      case '/moved':
+        res.writeHead(301, { Location: '/ok' });
+        return res.end();
+      case '/loop':
+        res.writeHead(302, { Location: '/loop' });
+        return res.end();
+      case '/to-metadata':
+        res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data' });
+        return res.end();
+      case '/slow':
+        setTimeout(() => res.end('late'), 1000);
+        return;
+      default:
+        res.statusCode = 404;
+        res.end();
+    }
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+describe('link health checks', () => {
+  let server;
+  let baseUrl;
+  const local = createOutboundClient({ allowPrivate: true });
+
+  // Loopback allowed for the stub; the metadata address stays blocked
+  const checkUrl = url => (new URL(url).hostname === '169.254.169.254' ? createOutboundClient().checkUrl(url) : local.checkUrl(url));
+  const options = { ...local, checkUrl, timeoutMs: 500 };
+
+  before(async () => {
+    server = await startStub();
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  it('reports healthy destinations', async () => {
+    const result = await probeDestination(`${baseUrl}/ok`, options);
+    assert.equal(result.status, 'ok');
+    assert.equal(result.status_code, 200);
+    assert.equal(result.final_url, `${baseUrl}/ok`);
+    assert.equal(result.error, null);
+    assert.ok(result.response_ms >= 0);
+  });
+
+  it('classifies error statuses', async () => {
+    assert.equal((await probeDestination(`${baseUrl}/gone`, options)).status, 'client_error');
+    assert.equal((await probeDestination(`${baseUrl}/down`, options)).status, 'server_error');
+  });
+
+  it('retries with GET when HEAD is not supported', async () => {
+    const result = await probeDestination(`${baseUrl}/no-head`, options);
+    assert.equal(result.status, 'ok');
+    assert.equal(result.status_code, 200);
+  });
+
+  it('follows redirects and reports where they end', async () => {
+    const result = await probeDestination(`${baseUrl}/moved`, options);
+    assert.equal(result.status, 'ok');
+    assert.equal(result.final_url, `${baseUrl}/ok`);
+  });
+
+  it('gives up on redirect loops', async () => {
+    const result = await probeDestination(`${baseUrl}/loop`, { ...options, maxRedirects: 3 });
+    assert.equal(result.status, 'unreachable');
+    assert.equal(result.status_code, 302);
+    assert.equal(result.error, 'More than 3 redirects');
+  });
+
+  it('does not follow redirects to blocked addresses', async () => {
+    const result = await probeDestination(`${baseUrl}/to-metadata`, options);
+    assert.equal(result.status, 'unreachable');
+    assert.equal(result.final_url, 'http://169.254.169.254/latest/meta-data');
+    assert.match(result.error, /^Redirects to a blocked address/);
+  });
+
+  it('times out slow destinations', async () => {
+    const result = await probeDestination(`${baseUrl}/slow`, { ...options, timeoutMs: 100 });
+    assert.equal(result.status, 'unreachable');
+    assert.equal(result.error, 'Timed out after 100 ms');
+  });
+
+  it('skips private addresses unless allowed', async () => {
+    const result = await probeDestination(`${baseUrl}/ok`, createOutboundClient());
+    assert.equal(result.status, 'skipped');
+    assert.equal(result.response_ms, null);
+  });
+
+  it('skips names that resolve to private addresses', async () => {
+    const { fetch } = createOutboundClient();
+    const result = await probeDestination(`http://localhost:${server.address().port}/ok`, { fetch, checkUrl: () => ({ ok: true }) });
+    assert.equal(result.status, 'skipped');
+    assert.match(result.error, /resolves to a private or local address/);
+  });
+
+  it('records results for due links and keeps a bounded history', async () => {
+    const store = createMemoryStore();
+    const healthy = await store.links.create({ short_code: 'healthy', target_url: `${baseUrl}/ok`, owner_id: 1 });
+    const broken = await store.links.create({ short_code: 'broken', target_url: `${baseUrl}/gone`, owner_id: 1 });
+
+    const seen = [];
+    const checker = createHealthChecker(store, {
+      ...options,
+      intervalMs: 0,
+      historySize: 2,
+      onCheck: (link, result) => seen.push([link.short_code, result.status])
+    });
+
+    for (let i = 0; i < 3; i++) {
+      await checker.processQueue();
+    }
+
+    assert.deepEqual(seen.slice(0, 2).sort(), [['broken', 'client_error'], ['healthy', 'ok']]);
+    assert.equal((await store.links.findByCode('healthy')).health_status, 'ok');
+    assert.equal((await store.links.findByCode('broken')).health_status, 'client_error');
+    assert.equal((await store.linkChecks.list(healthy.id, { limit: 10 })).length, 2);
+
+    const report = await store.linkChecks.broken({ statuses: ['client_error', 'server_error', 'unreachable'], ownerId: 1, limit: 10, offset: 0 });
+    assert.deepEqual(report.links.map(link => link.id), [broken.id]);
+  });
+});
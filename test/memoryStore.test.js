@@ -0,0 +1,163 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const createMemoryStore = require('../db/store/memory');
+const { CodeExistsError, NameExistsError } = require('../db/store/errors');
+
+describe('memory store: links', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createMemoryStore();
+  });
+
+  it('creates links and finds them by code', async () => {
+    const link = await store.links.create({ short_code: 'abc123', target_url: 'https://example.com/', owner_id: 1 });
+
+    assert.equal(link.short_code, 'abc123');
+    assert.equal(link.total_clicks, 0);
+    assert.equal(link.is_enabled, true);
+    assert.equal(link.is_expired, false);
+    assert.equal(link.has_password, false);
+    assert.deepEqual(await store.links.findByCode('abc123'), link);
+    assert.equal(await store.links.findByCode('missing'), null);
+  });
+
+  it('rejects a taken code', async () => {
+    await store.links.create({ short_code: 'taken', target_url: 'https://example.com/' });
+
+    await assert.rejects(
+      store.links.create({ short_code: 'taken', target_url: 'https://example.org/' }),
+      CodeExistsError
+    );
+  });
+
+  it('only shows links to their owner', async () => {
+    await store.links.create({ short_code: 'mine', target_url: 'https://example.com/', owner_id: 1 });
+
+    assert.notEqual(await store.links.findByCode('mine', { ownerId: 1 }), null);
+    assert.equal(await store.links.findByCode('mine', { ownerId: 2 }), null);
+    assert.notEqual(await store.links.findByCode('mine', { ownerId: null }), null);
+    assert.equal(await store.links.update('mine', { is_enabled: false }, { ownerId: 2 }), null);
+    assert.equal(await store.links.delete('mine', { ownerId: 2 }), null);
+  });
+
+  it('returns copies, not the stored records', async () => {
+    const link = await store.links.create({ short_code: 'copy', target_url: 'https://example.com/' });
+    link.target_url = 'https://changed.example/';
+
+    assert.equal((await store.links.findByCode('copy')).target_url, 'https://example.com/');
+  });
+
+  it('reuses only plain links for the same target', async () => {
+    await store.links.create({ short_code: 'limited', target_url: 'https://example.com/', owner_id: 1, max_clicks: 5 });
+    assert.equal(await store.links.findByTarget('https://example.com/', { ownerId: 1 }), null);
+
+    await store.links.create({ short_code: 'plain', target_url: 'https://example.com/', owner_id: 1 });
+    assert.equal((await store.links.findByTarget('https://example.com/', { ownerId: 1 })).short_code, 'plain');
+    assert.equal(await store.links.findByTarget('https://example.com/', { ownerId: 2 }), null);
+  });
+
+  it('counts clicks until the click limit is used up', async () => {
+    await store.links.create({ short_code: 'twice', target_url: 'https://example.com/', max_clicks: 2 });
+
+    assert.equal((await store.links.incrementClicks('twice')).total_clicks, 1);
+    const last = await store.links.incrementClicks('twice');
+    assert.equal(last.total_clicks, 2);
+    assert.equal(last.is_expired, true);
+    assert.equal(await store.links.incrementClicks('twice'), null);
+  });
+
+  it('does not count clicks on disabled links', async () => {
+    await store.links.create({ short_code: 'off', target_url: 'https://example.com/' });
+    await store.links.update('off', { is_enabled: false });
+
+    assert.equal(await store.links.incrementClicks('off'), null);
+    assert.equal((await store.links.findByCode('off')).total_clicks, 0);
+  });
+
+  it('renames links unless the new code is taken', async () => {
+    await store.links.create({ short_code: 'old', target_url: 'https://example.com/' });
+    await store.links.create({ short_code: 'other', target_url: 'https://example.com/' });
+
+    await assert.rejects(store.links.update('old', { short_code: 'other' }), CodeExistsError);
+
+    const renamed = await store.links.update('old', { short_code: 'new' });
+    assert.equal(renamed.short_code, 'new');
+    assert.equal(await store.links.findByCode('old'), null);
+  });
+
+  it('clears health and metadata when the target changes', async () => {
+    const link = await store.links.create({ short_code: 'moved', target_url: 'https://example.com/' });
+    await store.links.setMetadata(link, { title: 'Example', description: null, image: null });
+    await store.linkChecks.record(link, { status: 'ok', status_code: 200, final_url: link.target_url, response_ms: 5, error: null }, { keep: 10 });
+
+    const before = await store.links.findByCode('moved');
+    assert.equal(before.health_status, 'ok');
+    assert.equal(before.og.title, 'Example');
+
+    const after = await store.links.update('moved', { target_url: 'https://example.org/' });
+    assert.equal(after.health_status, null);
+    assert.equal(after.og, null);
+  });
+
+  it('pages, sorts and searches the link list', async () => {
+    for (const [code, clicks] of [['aaa', 3], ['bbb', 1], ['ccc', 2]]) {
+      await store.links.create({ short_code: code, target_url: `https://${code}.example/`, owner_id: 1 });
+      for (let i = 0; i < clicks; i++) {
+        await store.links.incrementClicks(code);
+      }
+    }
+
+    const byClicks = await store.links.list({ ownerId: 1, sort: 'clicks', order: 'DESC', limit: 2, offset: 0 });
+    assert.equal(byClicks.total, 3);
+    assert.deepEqual(byClicks.links.map(l => l.short_code), ['aaa', 'ccc']);
+
+    const search = await store.links.list({ ownerId: 1, q: 'bbb', sort: 'created', order: 'DESC', limit: 10, offset: 0 });
+    assert.deepEqual(search.links.map(l => l.short_code), ['bbb']);
+  });
+});
+
+describe('memory store: case-insensitive codes', () => {
+  it('treats codes differing only in case as taken', async () => {
+    const store = createMemoryStore({ caseInsensitiveCodes: true });
+    await store.links.create({ short_code: 'promo', target_url: 'https://example.com/' });
+    await store.links.create({ short_code: 'other', target_url: 'https://example.com/' });
+
+    await assert.rejects(store.links.create({ short_code: 'PROMO', target_url: 'https://example.com/' }), CodeExistsError);
+    await assert.rejects(store.links.update('other', { short_code: 'Promo' }), CodeExistsError);
+    assert.equal((await store.links.findByCode('Promo', { ignoreCase: true })).short_code, 'promo');
+  });
+
+  it('allows them when codes are case-sensitive', async () => {
+    const store = createMemoryStore();
+    await store.links.create({ short_code: 'promo', target_url: 'https://example.com/' });
+    await store.links.create({ short_code: 'PROMO', target_url: 'https://example.com/' });
+
+    assert.equal((await store.links.findByCode('PROMO')).short_code, 'PROMO');
+  });
+});
+
+describe('memory store: users and groups', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createMemoryStore();
+  });
+
+  it('finds users by API key hash until the key is revoked', async () => {
+    const user = await store.users.upsert('alice', { isAdmin: false });
+    const key = await store.users.createKey({ user_id: user.id, key_prefix: 'abcd', key_hash: 'hash', label: null });
+
+    assert.equal((await store.users.findByKeyHash('hash')).name, 'alice');
+    await store.users.revokeKey(key.id);
+    assert.equal(await store.users.findByKeyHash('hash'), null);
+  });
+
+  it('keeps tag names unique per owner', async () => {
+    await store.tags.create({ owner_id: 1, name: 'launch' });
+    await store.tags.create({ owner_id: 2, name: 'launch' });
+
+    await assert.rejects(store.tags.create({ owner_id: 1, name: 'launch' }), NameExistsError);
+  });
+});
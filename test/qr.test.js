@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseQrOptions, renderQr } = require('../lib/qr');
+
+describe('QR codes', () => {
+  it('applies defaults', () => {
+    assert.deepEqual(parseQrOptions({}), { format: 'png', size: 300, level: 'M', margin: 4 });
+    assert.deepEqual(parseQrOptions({ format: 'SVG', ecc: 'h', size: '128', margin: '0' }), { format: 'svg', size: 128, level: 'H', margin: 0 });
+  });
+
+  it('rejects invalid options', () => {
+    assert.equal(parseQrOptions({ format: 'gif' }).error, 'format must be "png" or "svg"');
+    assert.match(parseQrOptions({ size: '10' }).error, /^size must be/);
+    assert.equal(parseQrOptions({ ecc: 'X' }).error, 'ecc must be one of: L, M, Q, H');
+    assert.match(parseQrOptions({ margin: '-1' }).error, /^margin must be/);
+  });
+
+  it('rejects repeated parameters', () => {
+    assert.equal(parseQrOptions({ format: ['png', 'svg'] }).error, 'format must be given once');
+    assert.equal(parseQrOptions({ ecc: ['L', 'H'] }).error, 'ecc must be given once');
+    assert.equal(parseQrOptions({ size: ['100', '200'] }).error, 'size must be given once');
+  });
+
+  it('renders PNG and SVG', async () => {
+    const png = await renderQr('https://example.com/abc', parseQrOptions({}));
+    assert.equal(png.contentType, 'image/png');
+    assert.deepEqual([...png.body.subarray(1, 4)], [...Buffer.from('PNG')]);
+
+    const svg = await renderQr('https://example.com/abc', parseQrOptions({ format: 'svg' }));
+    assert.match(svg.contentType, /^image\/svg\+xml/);
+    assert.match(String(svg.body), /<svg/);
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { bucketStoreFromEnv, createMemoryBucketStore } = require('../lib/rateLimit');
+
+describe('rate limit stores', () => {
+  const dirs = [];
+
+  function writeModule(source) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinylink-'));
+    dirs.push(dir);
+    fs.writeFileSync(path.join(dir, 'store.js'), source);
+    return path.join(dir, 'store.js');
+  }
+
+  afterEach(() => {
+    delete process.env.RATE_LIMIT_STORE;
+    dirs.splice(0).forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  it('empties a bucket and refuses until it refills', async () => {
+    const store = createMemoryBucketStore();
+    const limit = { capacity: 2, refillPerSec: 1 };
+
+    assert.equal((await store.take('ip:1', limit)).remaining, 1);
+    assert.equal((await store.take('ip:1', limit)).allowed, true);
+    const refused = await store.take('ip:1', limit);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.retryAfter, 1);
+    assert.equal((await store.take('ip:2', limit)).allowed, true);
+  });
+
+  it('loads the store named by RATE_LIMIT_STORE', async () => {
+    process.env.RATE_LIMIT_STORE = writeModule(
+      'module.exports = () => ({ async take() { return { allowed: false, remaining: 0, retryAfter: 7 }; } });'
+    );
+
+    const store = bucketStoreFromEnv();
+    assert.deepEqual(await store.take('ip:1', { capacity: 1, refillPerSec: 1 }), { allowed: false, remaining: 0, retryAfter: 7 });
+  });
+
+  it('rejects a module that does not export a function', () => {
+    process.env.RATE_LIMIT_STORE = writeModule('module.exports = {};');
+    assert.throws(bucketStoreFromEnv, /RATE_LIMIT_STORE must be a module exporting a function/);
+  });
+});
@@ -0,0 +1,178 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The app picks its store and limits from the environment when loaded
+process.env.STORAGE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'error';
+process.env.RATE_LIMIT_CREATE_PER_MINUTE = '0';
+process.env.RATE_LIMIT_REDIRECT_PER_MINUTE = '0';
+
+const app = require('../server');
+const { store } = require('../db/store');
+const { issueApiKey } = require('../lib/auth');
+
+describe('routes (memory store)', () => {
+  let server;
+  let baseUrl;
+  let adminKey;
+  let aliceKey;
+  let bobKey;
+
+  function request(path, { key, method = 'GET', body, headers = {} } = {}) {
+    return fetch(`${baseUrl}${path}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(key ? { Authorization: `Bearer ${key}` } : {}),
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+  }
+
+  async function createLink(key, body) {
+    const response = await request('/api/links', { key, method: 'POST', body });
+    return { status: response.status, body: await response.json() };
+  }
+
+  before(async () => {
+    await store.init();
+    adminKey = (await issueApiKey(store, 'admin', { admin: true })).key;
+    aliceKey = (await issueApiKey(store, 'alice')).key;
+    bobKey = (await issueApiKey(store, 'bob')).key;
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('requires an API key for the API', async () => {
+    assert.equal((await request('/api/links')).status, 401);
+    assert.equal((await request('/api/links', { key: 'tl_not_a_real_key' })).status, 401);
+    assert.equal((await request('/api/me', { key: aliceKey })).status, 200);
+  });
+
+  it('counts requests with a wrong API key against the client IP', async () => {
+    const first = await request('/api/links', { key: 'tl_not_a_real_key' });
+    const second = await request('/api/links', { key: 'tl_not_a_real_key' });
+    assert.equal(second.status, 401);
+    assert.equal(Number(second.headers.get('ratelimit-remaining')), Number(first.headers.get('ratelimit-remaining')) - 1);
+  });
+
+  it('creates a link and redirects to it', async () => {
+    const created = await createLink(aliceKey, { target_url: 'https://example.com/docs', short_code: 'docs' });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.short_code, 'docs');
+
+    const response = await request('/docs');
+    assert.equal(response.status, 302);
+    assert.equal(response.headers.get('location'), 'https://example.com/docs');
+  });
+
+  it('generates a code when none is given', async () => {
+    const created = await createLink(aliceKey, { target_url: 'https://example.com/generated' });
+    assert.equal(created.status, 201);
+    assert.match(created.body.short_code, /^[A-Za-z0-9]{6,8}$/);
+  });
+
+  it('rejects invalid and private destinations', async () => {
+    const invalid = await createLink(aliceKey, { target_url: 'javascript:alert(1)' });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.reason, 'scheme_not_allowed');
+
+    const internal = await createLink(aliceKey, { target_url: 'http://169.254.169.254/latest/meta-data' });
+    assert.equal(internal.status, 400);
+    assert.equal(internal.body.reason, 'private_address');
+  });
+
+  it('reads true/false fields given as text', async () => {
+    const created = await createLink(aliceKey, { target_url: 'https://example.com/flags', forward_query: 'true', interstitial: 'false' });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.forward_query, true);
+    assert.equal(created.body.interstitial, false);
+
+    const invalid = await createLink(aliceKey, { target_url: 'https://example.com/flags', interstitial: 'yes' });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, 'interstitial must be true or false');
+  });
+
+  it('keeps codes from shadowing fixed API routes', async () => {
+    for (const code of ['export', 'bulk', 'Export']) {
+      const created = await createLink(aliceKey, { target_url: 'https://example.com/', short_code: code });
+      assert.equal(created.status, 400);
+      assert.match(created.body.error, /is reserved/);
+    }
+  });
+
+  it('reports a taken code', async () => {
+    await createLink(aliceKey, { target_url: 'https://example.com/a', short_code: 'taken-code' });
+    const again = await createLink(bobKey, { target_url: 'https://example.com/b', short_code: 'taken-code' });
+    assert.equal(again.status, 409);
+  });
+
+  it('answers 404 for unknown codes', async () => {
+    assert.equal((await request('/no-such-code')).status, 404);
+  });
+
+  it('keeps links private to their owner', async () => {
+    await createLink(aliceKey, { target_url: 'https://example.com/private', short_code: 'alice-only' });
+
+    assert.equal((await request('/api/links/alice-only', { key: aliceKey })).status, 200);
+    assert.equal((await request('/api/links/alice-only', { key: bobKey })).status, 404);
+    assert.equal((await request('/api/links/alice-only', { key: adminKey })).status, 200);
+    assert.equal((await request('/api/links/alice-only', { key: bobKey, method: 'DELETE' })).status, 404);
+
+    const bobsList = await (await request('/api/links?limit=200', { key: bobKey })).json();
+    assert.ok(!bobsList.links.some(link => link.short_code === 'alice-only'));
+  });
+
+  it('stops redirecting disabled links', async () => {
+    await createLink(aliceKey, { target_url: 'https://example.com/paused', short_code: 'paused' });
+
+    const patched = await request('/api/links/paused', { key: aliceKey, method: 'PATCH', body: { is_enabled: false } });
+    assert.equal(patched.status, 200);
+    assert.equal((await patched.json()).is_enabled, false);
+
+    assert.equal((await request('/paused')).status, 403);
+  });
+
+  it('deletes links', async () => {
+    await createLink(aliceKey, { target_url: 'https://example.com/gone', short_code: 'gone' });
+
+    assert.equal((await request('/api/links/gone', { key: aliceKey, method: 'DELETE' })).status, 200);
+    assert.equal((await request('/gone')).status, 404);
+  });
+
+  it('pages the link list', async () => {
+    for (let i = 0; i < 3; i++) {
+      await createLink(bobKey, { target_url: `https://example.com/page-${i}` });
+    }
+
+    const page = await (await request('/api/links?limit=2&page=1', { key: bobKey })).json();
+    assert.equal(page.links.length, 2);
+    assert.equal(page.limit, 2);
+    assert.ok(page.total >= 3);
+    assert.equal(page.pages, Math.ceil(page.total / 2));
+  });
+
+  it('rejects repeated QR parameters', async () => {
+    await createLink(aliceKey, { target_url: 'https://example.com/qr', short_code: 'qr-code' });
+
+    assert.equal((await request('/api/links/qr-code/qr?format=svg', { key: aliceKey })).status, 200);
+    const response = await request('/api/links/qr-code/qr?format=png&format=svg', { key: aliceKey });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'format must be given once');
+  });
+
+  it('rejects repeated list parameters', async () => {
+    const response = await request('/api/links?order=asc&order=desc', { key: bobKey });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'order must be given once');
+
+    assert.equal((await request('/api/links?sort=clicks&sort=created', { key: bobKey })).status, 400);
+    assert.equal((await request('/api/links?status=active&status=expired', { key: bobKey })).status, 400);
+  });
+});